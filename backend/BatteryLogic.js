@@ -0,0 +1,118 @@
+const { getUsableCapacityKWh, getBatteryEfficiency } = require('./BatteryPhysicsLogic');
+
+// Fallback for trucks saved before consumption_kWhPerKm existed
+const DEFAULT_CONSUMPTION_KWH_PER_KM = 1.2;
+// The rolling consumption average mostly reflects about this many recent kilometres
+const CONSUMPTION_WINDOW_KM = 50;
+
+/**
+ * Energy drawn from the battery to cover a distance
+ * @param {Number} distanceKm - Distance driven in kilometers
+ * @param {Number} consumptionKWhPerKm - Vehicle consumption in kWh/km
+ * @returns {Number} Energy used in kWh
+ */
+function calculateEnergyUsed(distanceKm, consumptionKWhPerKm = DEFAULT_CONSUMPTION_KWH_PER_KM) {
+  return Math.max(0, distanceKm) * consumptionKWhPerKm;
+}
+
+/**
+ * State of charge after driving a distance
+ * @param {Object} truck - Fleet truck sub-document (batterySize_kWh, stateOfHealth_percent, batterySOC_percent,
+ *   batteryTemperature_C, consumption_kWhPerKm)
+ * @param {Number} distanceKm - Distance driven in kilometers
+ * @returns {Number} New SoC in percent, never below 0
+ */
+function calculateSocAfterDistance(truck, distanceKm) {
+  const consumption = truck.consumption_kWhPerKm || DEFAULT_CONSUMPTION_KWH_PER_KM;
+  // The pack loses more to internal resistance when cold, so it gives up more than the motor uses
+  const efficiency = typeof truck.batteryTemperature_C === 'number' ? getBatteryEfficiency(truck.batteryTemperature_C) : 1;
+  const energyUsed = calculateEnergyUsed(distanceKm, consumption) / efficiency;
+  const socUsed = (energyUsed / getUsableCapacityKWh(truck)) * 100;
+  const newSoc = Math.max(0, truck.batterySOC_percent - socUsed);
+
+  // Keep 4 decimals so the small per-second drain is not rounded away
+  return parseFloat(newSoc.toFixed(4));
+}
+
+/**
+ * Fold a stretch of driving into the truck's rolling consumption average. The average is kept
+ * at the wheels (battery losses taken out), so range estimates can apply the current temperature
+ * @param {Object} truck - Fleet truck sub-document (updated in place, not saved)
+ * @param {Number} distanceKm - Distance driven
+ * @param {Number} batteryEnergyKWh - Energy the battery gave up over that distance
+ * @returns {Number} New average consumption in kWh/km
+ */
+function updateRollingConsumption(truck, distanceKm, batteryEnergyKWh) {
+  const previous = truck.avgConsumption_kWhPerKm || truck.consumption_kWhPerKm || DEFAULT_CONSUMPTION_KWH_PER_KM;
+  if (distanceKm <= 0 || batteryEnergyKWh <= 0) {
+    return previous;
+  }
+
+  const efficiency = typeof truck.batteryTemperature_C === 'number' ? getBatteryEfficiency(truck.batteryTemperature_C) : 1;
+  const sample = (batteryEnergyKWh * efficiency) / distanceKm;
+  const weight = Math.min(1, distanceKm / CONSUMPTION_WINDOW_KM);
+  truck.avgConsumption_kWhPerKm = parseFloat((previous + (sample - previous) * weight).toFixed(4));
+  return truck.avgConsumption_kWhPerKm;
+}
+
+/**
+ * Distance the truck can still drive on its current charge
+ * @param {Object} truck - Fleet truck sub-document (batterySize_kWh, stateOfHealth_percent, batterySOC_percent,
+ *   batteryTemperature_C, avgConsumption_kWhPerKm, consumption_kWhPerKm)
+ * @returns {Number} Range in km
+ */
+function estimateRangeKm(truck) {
+  const consumption = truck.avgConsumption_kWhPerKm || truck.consumption_kWhPerKm || DEFAULT_CONSUMPTION_KWH_PER_KM;
+  const efficiency = typeof truck.batteryTemperature_C === 'number' ? getBatteryEfficiency(truck.batteryTemperature_C) : 1;
+  const energyKWh = (getUsableCapacityKWh(truck) * Math.max(0, truck.batterySOC_percent)) / 100;
+  return Math.round((energyKWh * efficiency / consumption) * 10) / 10;
+}
+
+// CC-CV: full power up to this SoC, then a linear taper towards 100%
+const CV_PHASE_START_SOC = 80;
+// Power never tapers below this share of the maximum, so charging still finishes
+const MIN_TAPER_FRACTION = 0.05;
+
+/**
+ * Power drawn at a given SoC under a CC-CV curve
+ * @param {Number} soc - Current state of charge in percent
+ * @param {Number} maxPowerKw - Charging power limit
+ * @returns {Number} Charging power in kW
+ */
+function calculateChargingPower(soc, maxPowerKw) {
+  if (soc < CV_PHASE_START_SOC) {
+    return maxPowerKw;
+  }
+
+  const taper = (100 - soc) / (100 - CV_PHASE_START_SOC);
+  return maxPowerKw * Math.max(MIN_TAPER_FRACTION, taper);
+}
+
+/**
+ * Time to charge between two SoC values along the CC-CV curve
+ * @param {Number} fromSoc - Starting SoC in percent
+ * @param {Number} toSoc - Target SoC in percent
+ * @param {Number} batterySizeKWh - Battery capacity
+ * @param {Number} maxPowerKw - Charging power limit
+ * @returns {Number} Minutes of charging
+ */
+function estimateChargeMinutes(fromSoc, toSoc, batterySizeKWh, maxPowerKw) {
+  let minutes = 0;
+  // Whole-percent slices, each charged at the power of its midpoint
+  for (let soc = fromSoc; soc < toSoc; soc = Math.min(toSoc, Math.floor(soc) + 1)) {
+    const sliceEnd = Math.min(toSoc, Math.floor(soc) + 1);
+    const sliceKWh = ((sliceEnd - soc) / 100) * batterySizeKWh;
+    minutes += (sliceKWh / calculateChargingPower((soc + sliceEnd) / 2, maxPowerKw)) * 60;
+  }
+  return minutes;
+}
+
+module.exports = {
+  DEFAULT_CONSUMPTION_KWH_PER_KM,
+  calculateEnergyUsed,
+  calculateSocAfterDistance,
+  updateRollingConsumption,
+  estimateRangeKm,
+  calculateChargingPower,
+  estimateChargeMinutes
+};
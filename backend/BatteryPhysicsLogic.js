@@ -0,0 +1,120 @@
+require('dotenv').config();
+
+// Pack-level parameters of a typical heavy-duty truck battery
+const NOMINAL_PACK_VOLTAGE = 650;
+const INTERNAL_RESISTANCE_OHM_25C = 0.05;
+// Resistance grows by this share per °C below 25 °C (and shrinks above it)
+const RESISTANCE_TEMP_COEFF = 0.03;
+const PACK_MASS_KG_PER_KWH = 6.25;
+const SPECIFIC_HEAT_J_PER_KG_K = 1000;
+
+// Heat lost to the surroundings, plus liquid cooling above ACTIVE_COOLING_START_C
+const PASSIVE_COOLING_W_PER_K = 100;
+const ACTIVE_COOLING_W_PER_K = 1500;
+const ACTIVE_COOLING_START_C = 30;
+const DEFAULT_AMBIENT_TEMPERATURE_C = parseFloat(process.env.AMBIENT_TEMPERATURE_C) || 20;
+
+// Capacity fade: per equivalent full cycle at 1C and 25 °C, and per year parked at 25 °C
+const CYCLE_FADE_PERCENT = 0.0067;
+const CALENDAR_FADE_PERCENT_PER_YEAR = 2;
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+/**
+ * Energy the battery can hold now that it has aged
+ * @param {Object} truck - Fleet truck sub-document (batterySize_kWh, stateOfHealth_percent)
+ * @returns {Number} Usable capacity in kWh
+ */
+function getUsableCapacityKWh(truck) {
+  const stateOfHealth = typeof truck.stateOfHealth_percent === 'number' ? truck.stateOfHealth_percent : 100;
+  return truck.batterySize_kWh * stateOfHealth / 100;
+}
+
+function getInternalResistance(temperatureC) {
+  return INTERNAL_RESISTANCE_OHM_25C * Math.exp(RESISTANCE_TEMP_COEFF * (25 - temperatureC));
+}
+
+/**
+ * One-way energy efficiency of the pack; cold raises resistance losses, heat speeds up side reactions
+ * @param {Number} temperatureC - Battery temperature
+ * @returns {Number} Efficiency between 0.8 and 0.97
+ */
+function getBatteryEfficiency(temperatureC) {
+  const coldLoss = 0.004 * Math.max(0, 15 - temperatureC);
+  const hotLoss = 0.002 * Math.max(0, temperatureC - 35);
+  return Math.max(0.8, 0.97 - coldLoss - hotLoss);
+}
+
+/**
+ * Share of the charger's power the battery accepts at a temperature
+ * (lithium plating when cold, protection cut-off when hot)
+ * @param {Number} temperatureC - Battery temperature
+ * @returns {Number} Factor between 0 and 1
+ */
+function getChargePowerLimitFactor(temperatureC) {
+  if (temperatureC <= 0) return 0.1;
+  if (temperatureC < 10) return 0.1 + 0.04 * temperatureC;
+  if (temperatureC < 15) return 0.5 + 0.1 * (temperatureC - 10);
+  if (temperatureC <= 40) return 1;
+  if (temperatureC < 50) return 1 - 0.09 * (temperatureC - 40);
+  return 0;
+}
+
+/**
+ * Joule heat from a current draw (I²R)
+ * @param {Number} powerKw - Battery power, positive when discharging and negative when charging
+ * @param {Number} temperatureC - Battery temperature
+ * @returns {Number} Heat in kW
+ */
+function calculateHeatKw(powerKw, temperatureC) {
+  const currentA = (Math.abs(powerKw) * 1000) / NOMINAL_PACK_VOLTAGE;
+  return (currentA * currentA * getInternalResistance(temperatureC)) / 1000;
+}
+
+/**
+ * Advance the battery by some seconds: heat from the current draw, cooling toward ambient,
+ * cycle counting and capacity fade. Updates the truck in place (not saved)
+ * @param {Object} truck - Fleet truck sub-document
+ * @param {Number} powerKw - Battery power, positive when discharging and negative when charging
+ * @param {Number} seconds - Time step
+ * @param {Number} ambientC - Surrounding temperature (default: truck.ambientTemperature_C or AMBIENT_TEMPERATURE_C)
+ * @returns {Object} heatKw, coolingKw and cRate of the step
+ */
+function stepBatteryState(truck, powerKw, seconds = 1, ambientC = truck.ambientTemperature_C ?? DEFAULT_AMBIENT_TEMPERATURE_C) {
+  const temperature = truck.batteryTemperature_C;
+  const capacityKWh = getUsableCapacityKWh(truck);
+  const heatCapacityJPerK = truck.batterySize_kWh * PACK_MASS_KG_PER_KWH * SPECIFIC_HEAT_J_PER_KG_K;
+
+  const heatKw = calculateHeatKw(powerKw, temperature);
+  const coolingWPerK = PASSIVE_COOLING_W_PER_K + (temperature > ACTIVE_COOLING_START_C ? ACTIVE_COOLING_W_PER_K : 0);
+  const coolingKw = (coolingWPerK * (temperature - ambientC)) / 1000;
+  truck.batteryTemperature_C = temperature + ((heatKw - coolingKw) * 1000 * seconds) / heatCapacityJPerK;
+
+  // Equivalent full cycles: one charge and one discharge of the whole capacity
+  const throughputKWh = (Math.abs(powerKw) * seconds) / 3600;
+  const cycles = capacityKWh > 0 ? throughputKWh / (2 * capacityKWh) : 0;
+  truck.energyThroughput_kWh = (truck.energyThroughput_kWh || 0) + throughputKWh;
+  truck.cycleCount = (truck.cycleCount || 0) + cycles;
+
+  // Fast currents and heat age the cells faster (doubling every 10 °C above 25 °C)
+  const cRate = capacityKWh > 0 ? Math.abs(powerKw) / capacityKWh : 0;
+  const temperatureStress = Math.pow(2, Math.max(0, temperature - 25) / 10);
+  const cycleFade = cycles * CYCLE_FADE_PERCENT * (1 + 0.5 * Math.max(0, cRate - 1)) * temperatureStress;
+  const calendarFade = (CALENDAR_FADE_PERCENT_PER_YEAR * seconds / SECONDS_PER_YEAR) * temperatureStress;
+  const stateOfHealth = typeof truck.stateOfHealth_percent === 'number' ? truck.stateOfHealth_percent : 100;
+  truck.stateOfHealth_percent = Math.max(0, stateOfHealth - cycleFade - calendarFade);
+
+  truck.batteryPower_kW = powerKw;
+  truck.availableEnergy_kWh = (getUsableCapacityKWh(truck) * truck.batterySOC_percent) / 100;
+
+  return { heatKw, coolingKw, cRate };
+}
+
+module.exports = {
+  DEFAULT_AMBIENT_TEMPERATURE_C,
+  getUsableCapacityKWh,
+  getInternalResistance,
+  getBatteryEfficiency,
+  getChargePowerLimitFactor,
+  calculateHeatKw,
+  stepBatteryState
+};
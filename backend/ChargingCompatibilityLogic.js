@@ -0,0 +1,91 @@
+// Connectors that deliver DC; the rest (Type2, J1772) are AC
+const DC_CONNECTORS = ['CCS', 'CHAdeMO', 'Tesla'];
+
+/**
+ * Map a connector name (ours or an OpenChargeMap ConnectionType title) to a ChargingStation connector type
+ * @param {String} name - e.g. 'CCS (Type 2)', 'Type 2 (Socket Only)', 'CHAdeMO'
+ * @returns {String} CCS, CHAdeMO, Type2, Tesla, J1772 or Other
+ */
+function normalizeConnectorType(name) {
+  if (!name) return 'Other';
+  if (/ccs|combo/i.test(name)) return 'CCS';
+  if (/chademo/i.test(name)) return 'CHAdeMO';
+  if (/tesla|nacs/i.test(name)) return 'Tesla';
+  if (/type\s*2|mennekes/i.test(name)) return 'Type2';
+  if (/j1772|type\s*1/i.test(name)) return 'J1772';
+  return 'Other';
+}
+
+/**
+ * Connectors a station offers that the truck can plug into
+ * @param {Object} station - Station with connectorTypes
+ * @param {Object|null} truck - Fleet truck sub-document (supportedConnectors)
+ * @returns {Array} Matching connector types; every station connector when the truck lists none
+ */
+function getCompatibleConnectors(station, truck) {
+  const stationConnectors = [...new Set((station.connectorTypes || []).map(normalizeConnectorType))];
+  const supported = truck?.supportedConnectors || [];
+
+  if (supported.length === 0) {
+    return stationConnectors;
+  }
+  return stationConnectors.filter(connector => supported.includes(connector));
+}
+
+/**
+ * Whether the truck can charge at a station at all
+ * @param {Object} station - Station with connectorTypes
+ * @param {Object|null} truck - Fleet truck sub-document, or null if unknown
+ * @returns {Boolean} True when a connector matches, or when the truck's connectors are unknown
+ */
+function isStationCompatible(station, truck) {
+  if (!truck?.supportedConnectors || truck.supportedConnectors.length === 0) {
+    return true;
+  }
+  return getCompatibleConnectors(station, truck).length > 0;
+}
+
+/**
+ * Power the truck actually draws at a station: the lower of the station's rating
+ * and the truck's AC or DC limit for the best matching connector
+ * @param {Object} station - Station with powerKw and connectorTypes
+ * @param {Object|null} truck - Fleet truck sub-document (maxAcPower_kW, maxDcPower_kW)
+ * @returns {Number} Charging power in kW
+ */
+function getEffectiveChargingPower(station, truck) {
+  const stationPower = station.powerKw || 0;
+  if (!truck) {
+    return stationPower;
+  }
+
+  const connectors = getCompatibleConnectors(station, truck);
+  const isDc = connectors.some(connector => DC_CONNECTORS.includes(connector));
+  const vehicleLimit = isDc ? truck.maxDcPower_kW : truck.maxAcPower_kW;
+
+  return vehicleLimit ? Math.min(stationPower, vehicleLimit) : stationPower;
+}
+
+/**
+ * Drop stations the truck cannot use and note how it would charge at the rest
+ * @param {Array} stations - Plain station objects
+ * @param {Object|null} truck - Fleet truck sub-document, or null to keep every station
+ * @returns {Array} Compatible stations with compatibleConnectors and effectivePowerKw
+ */
+function filterCompatibleStations(stations, truck) {
+  return stations
+    .filter(station => isStationCompatible(station, truck))
+    .map(station => ({
+      ...station,
+      compatibleConnectors: getCompatibleConnectors(station, truck),
+      effectivePowerKw: getEffectiveChargingPower(station, truck)
+    }));
+}
+
+module.exports = {
+  DC_CONNECTORS,
+  normalizeConnectorType,
+  getCompatibleConnectors,
+  isStationCompatible,
+  getEffectiveChargingPower,
+  filterCompatibleStations
+};
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One continuous charge of a truck at a charging station or a depot facility
+const ChargingSessionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  locationType: {
+    type: String,
+    enum: ['station', 'depot'],
+    required: true
+  },
+  stationId: String,
+  // Station port connector the truck is plugged into
+  connectorType: String,
+  facilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility'
+  },
+  locationName: String,
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'stopped'],
+    default: 'active'
+  },
+  endReason: {
+    type: String,
+    enum: ['target-reached', 'requested', 'unplugged']
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  endTime: Date,
+  durationSeconds: {
+    type: Number,
+    default: 0
+  },
+  startSoc: {
+    type: Number,
+    required: true
+  },
+  endSoc: Number,
+  targetSoc: {
+    type: Number,
+    default: 80
+  },
+  batterySize_kWh: Number,
+  // Lower of the charger's and the truck's power limit
+  maxPowerKw: {
+    type: Number,
+    required: true
+  },
+  currentPowerKw: {
+    type: Number,
+    default: 0
+  },
+  energyDeliveredKWh: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    perKwh: Number,
+    amount: Number,
+    currency: String
+  }
+}, { timestamps: true });
+
+ChargingSessionSchema.index({ userId: 1, startTime: -1 });
+ChargingSessionSchema.index({ stationId: 1, startTime: -1 });
+
+module.exports = mongoose.model('ChargingSession', ChargingSessionSchema);
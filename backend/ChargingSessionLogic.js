@@ -0,0 +1,270 @@
+const ChargingSession = require('./ChargingSession');
+const ChargingStation = require('./ChargingStation');
+const Facility = require('./Facility');
+const StationQueue = require('./StationQueue');
+const Fleet = require('./Fleet');
+const { getEffectiveChargingPower, isStationCompatible, getCompatibleConnectors } = require('./ChargingCompatibilityLogic');
+const { calculateChargingPower } = require('./BatteryLogic');
+const { getUsableCapacityKWh, getBatteryEfficiency, getChargePowerLimitFactor } = require('./BatteryPhysicsLogic');
+const { summarizeOccupancy, getFreePorts } = require('./StationOccupancyLogic');
+const { calculateDistance } = require('./RouteChargingLogic');
+const { findHoldingReservations } = require('./ReservationLogic');
+require('dotenv').config();
+
+// Depot chargers are DC; their rating and energy price come from the environment
+const DEPOT_CHARGER_POWER_KW = parseFloat(process.env.DEPOT_CHARGER_POWER_KW) || 150;
+const DEPOT_PRICE_PER_KWH = parseFloat(process.env.DEPOT_PRICE_PER_KWH);
+const DEPOT_CURRENCY = process.env.DEPOT_CURRENCY || 'EUR';
+
+// A truck this close to a station or depot can plug in
+const CHARGING_LOCATION_RADIUS_KM = 0.3;
+const DEFAULT_TARGET_SOC = 80;
+
+/**
+ * Charging station or depot the truck is parked at
+ * @param {Array} coordinates - Truck position [lng, lat]
+ * @returns {Object|null} { type: 'station', station } or { type: 'depot', facility }
+ */
+async function findChargingLocation(coordinates) {
+  const near = {
+    $near: {
+      $geometry: { type: 'Point', coordinates: coordinates },
+      $maxDistance: CHARGING_LOCATION_RADIUS_KM * 1000
+    }
+  };
+
+  const station = await ChargingStation.findOne({ location: near, isOperational: true });
+  if (station) {
+    return { type: 'station', station };
+  }
+
+  const facility = await Facility.findOne({ location: near });
+  if (facility) {
+    return { type: 'depot', facility };
+  }
+
+  return null;
+}
+
+/**
+ * Put a truck at the back of a station's queue (or keep its current place)
+ * @param {Object} station - ChargingStation
+ * @param {String} userId - Truck's fleet document id
+ * @param {Array} connectorTypes - Connectors the truck can use there
+ * @returns {Object} queuePosition (1-based) and estimatedWaitMinutes
+ */
+async function joinStationQueue(station, userId, connectorTypes) {
+  await StationQueue.findOneAndUpdate(
+    { stationId: station.stationId, userId: userId, status: 'waiting' },
+    { $setOnInsert: { connectorTypes: connectorTypes, joinedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  const queue = await StationQueue.find({ stationId: station.stationId, status: 'waiting' }).sort({ joinedAt: 1 });
+  const queuePosition = queue.findIndex(entry => entry.userId === userId) + 1;
+
+  // Only the trucks ahead delay this one
+  const sessions = await ChargingSession.find({ status: 'active', stationId: station.stationId });
+  const { estimatedWaitMinutes } = summarizeOccupancy(station, sessions, queue.slice(0, queuePosition - 1), connectorTypes);
+
+  return { queuePosition, estimatedWaitMinutes };
+}
+
+/**
+ * Start charging a truck where it is parked, reusing a session that is already running
+ * @param {Object} fleet - Fleet document
+ * @param {Object} options - targetSoc in percent (default: the truck's chargeLimit_percent, else 80)
+ * @returns {Object} session, or error when the truck cannot charge here
+ */
+async function startChargingSession(fleet, { targetSoc = fleet.truck.chargeLimit_percent || DEFAULT_TARGET_SOC } = {}) {
+  const userId = fleet._id.toString();
+
+  const existing = await ChargingSession.findOne({ userId: userId, status: 'active' });
+  if (existing) {
+    return { session: existing };
+  }
+
+  if (fleet.truck.batterySOC_percent >= targetSoc) {
+    return { error: `Battery is already at ${fleet.truck.batterySOC_percent}%` };
+  }
+
+  const location = fleet.location?.coordinates?.length === 2
+    ? await findChargingLocation(fleet.location.coordinates)
+    : null;
+  if (!location) {
+    return { error: 'Truck is not at a charging station or depot' };
+  }
+
+  const truck = fleet.truck.toObject();
+  const session = new ChargingSession({
+    userId: userId,
+    locationType: location.type,
+    startSoc: truck.batterySOC_percent,
+    targetSoc: targetSoc,
+    batterySize_kWh: getUsableCapacityKWh(truck)
+  });
+
+  if (location.type === 'station') {
+    const { station } = location;
+    if (!isStationCompatible(station, truck)) {
+      return { error: `${station.name} has no connector this truck supports` };
+    }
+
+    // A truck with a reservation goes first. Everyone else is served first come first served,
+    // on the ports not held for reserved trucks that have yet to plug in
+    const connectors = getCompatibleConnectors(station, truck);
+    const [queue, reservations, chargingUserIds] = await Promise.all([
+      StationQueue.find({ stationId: station.stationId, status: 'waiting' }).sort({ joinedAt: 1 }),
+      findHoldingReservations(station.stationId),
+      ChargingSession.distinct('userId', { status: 'active', stationId: station.stationId })
+    ]);
+    const reservedUserIds = reservations.map(reservation => reservation.userId)
+      .filter(reservedUserId => !chargingUserIds.includes(reservedUserId));
+    const hasReservation = reservedUserIds.includes(userId);
+    const heldForOthers = reservedUserIds.filter(reservedUserId => reservedUserId !== userId).length;
+
+    const ownIndex = queue.findIndex(entry => entry.userId === userId);
+    const aheadCount = hasReservation ? 0 : queue.slice(0, ownIndex === -1 ? queue.length : ownIndex)
+      .filter(entry => !reservedUserIds.includes(entry.userId)).length;
+    const freePorts = await getFreePorts(station, connectors);
+    const freeCount = freePorts.reduce((total, port) => total + port.free, 0);
+
+    if (freeCount - heldForOthers <= aheadCount) {
+      const { queuePosition, estimatedWaitMinutes } = await joinStationQueue(station, userId, connectors);
+      return {
+        error: `All compatible ports at ${station.name} are busy. Queued at position ${queuePosition}, ~${estimatedWaitMinutes} min wait`,
+        queued: true,
+        queuePosition,
+        estimatedWaitMinutes
+      };
+    }
+
+    if (ownIndex !== -1) {
+      await StationQueue.updateOne({ _id: queue[ownIndex]._id }, { status: 'served' });
+    }
+
+    session.connectorType = freePorts[0].connectorType;
+    session.stationId = station.stationId;
+    session.locationName = station.name;
+    session.maxPowerKw = getEffectiveChargingPower(station, truck);
+    session.cost = { perKwh: station.cost?.perKwh, currency: station.cost?.currency };
+  } else {
+    session.facilityId = location.facility._id;
+    session.locationName = location.facility.title;
+    session.maxPowerKw = truck.maxDcPower_kW ? Math.min(DEPOT_CHARGER_POWER_KW, truck.maxDcPower_kW) : DEPOT_CHARGER_POWER_KW;
+    session.cost = { perKwh: Number.isFinite(DEPOT_PRICE_PER_KWH) ? DEPOT_PRICE_PER_KWH : undefined, currency: DEPOT_CURRENCY };
+  }
+
+  if (!session.maxPowerKw) {
+    return { error: `${session.locationName} has no usable charging power` };
+  }
+
+  await session.save();
+  return { session };
+}
+
+/**
+ * Charge for a number of seconds along the CC-CV curve, stopping at the target SoC.
+ * The battery temperature caps the power it accepts and sets how much of the energy is stored
+ * @param {Object} session - Active ChargingSession document (updated, not saved)
+ * @param {Object} truck - Fleet truck sub-document (batterySize_kWh, stateOfHealth_percent, batterySOC_percent, batteryTemperature_C)
+ * @param {Number} seconds - Time charged
+ * @returns {Number} New SoC in percent
+ */
+function applyChargingStep(session, truck, seconds = 1) {
+  const capacityKWh = getUsableCapacityKWh(truck);
+  const efficiency = getBatteryEfficiency(truck.batteryTemperature_C);
+  const powerLimitKw = session.maxPowerKw * getChargePowerLimitFactor(truck.batteryTemperature_C);
+  let soc = truck.batterySOC_percent;
+  let energyKWh = 0;
+  let powerKw = 0;
+
+  // Second by second, so the taper is followed closely
+  for (let elapsed = 0; elapsed < seconds && soc < session.targetSoc; elapsed++) {
+    powerKw = Math.min(calculateChargingPower(soc, session.maxPowerKw), powerLimitKw);
+    const neededKWh = ((session.targetSoc - soc) / 100) * capacityKWh / efficiency;
+    const stepKWh = Math.min(powerKw / 3600, neededKWh);
+
+    // energyKWh is what the charger delivers (and bills); the battery stores a little less
+    energyKWh += stepKWh;
+    soc += ((stepKWh * efficiency) / capacityKWh) * 100;
+  }
+
+  session.durationSeconds += seconds;
+  session.currentPowerKw = Math.round(powerKw * 10) / 10;
+  session.energyDeliveredKWh = parseFloat((session.energyDeliveredKWh + energyKWh).toFixed(4));
+  session.endSoc = parseFloat(soc.toFixed(4));
+  if (typeof session.cost?.perKwh === 'number') {
+    session.cost.amount = Math.round(session.energyDeliveredKWh * session.cost.perKwh * 100) / 100;
+  }
+
+  return Math.min(soc, 100);
+}
+
+/**
+ * Serve station queues: plug in the next waiting truck when a port frees up,
+ * and drop trucks that have driven away
+ * @returns {Array} Sessions started
+ */
+async function processStationQueues() {
+  const waiting = await StationQueue.find({ status: 'waiting' }).sort({ joinedAt: 1 });
+  const started = [];
+
+  for (const entry of waiting) {
+    const [station, fleet] = await Promise.all([
+      ChargingStation.findOne({ stationId: entry.stationId }),
+      Fleet.findById(entry.userId)
+    ]);
+
+    const stillThere = station && fleet && fleet.truck.chargingStatus !== 'discharging' &&
+      calculateDistance(fleet.location.coordinates, station.location.coordinates) <= CHARGING_LOCATION_RADIUS_KM;
+    if (!stillThere) {
+      await StationQueue.updateOne({ _id: entry._id }, { status: 'left', leftAt: new Date() });
+      continue;
+    }
+
+    const { session, queued } = await startChargingSession(fleet);
+    if (session) {
+      fleet.truck.chargingStatus = 'charging';
+      await fleet.save();
+      started.push(session);
+    } else if (!queued) {
+      // Charging is no longer possible (e.g. battery already full)
+      await StationQueue.updateOne({ _id: entry._id }, { status: 'left', leftAt: new Date() });
+    }
+  }
+
+  return started;
+}
+
+/**
+ * Close a charging session
+ * @param {Object} session - ChargingSession document
+ * @param {String} reason - target-reached, requested or unplugged
+ * @param {Number} endSoc - SoC when charging ended
+ * @returns {Object} Saved session
+ */
+async function finishChargingSession(session, reason, endSoc) {
+  session.status = reason === 'target-reached' ? 'completed' : 'stopped';
+  session.endReason = reason;
+  session.endTime = new Date();
+  session.currentPowerKw = 0;
+  if (typeof endSoc === 'number') {
+    session.endSoc = endSoc;
+  } else if (typeof session.endSoc !== 'number') {
+    session.endSoc = session.startSoc;
+  }
+
+  await session.save();
+  return session;
+}
+
+module.exports = {
+  DEFAULT_TARGET_SOC,
+  findChargingLocation,
+  joinStationQueue,
+  startChargingSession,
+  processStationQueues,
+  applyChargingStep,
+  finishChargingSession
+};
@@ -22,8 +22,13 @@ const ChargingStationSchema = new mongoose.Schema({
     },
     coordinates: {
       type: [Number], // [longitude, latitude]
-      required: true
+      required: true,
       // REMOVED: index: '2dsphere' - this was causing the duplicate
+      validate: {
+        validator: coords => coords.length === 2 &&
+          coords[0] >= -180 && coords[0] <= 180 && coords[1] >= -90 && coords[1] <= 90,
+        message: 'location.coordinates must be [longitude, latitude] within -180..180 and -90..90'
+      }
     }
   },
   connectorTypes: [{
@@ -32,8 +37,30 @@ const ChargingStationSchema = new mongoose.Schema({
   }],
   powerKw: {
     type: Number,
-    required: true
+    required: true,
+    min: 0
   },
+  // Trucks that can charge at the same time
+  ports: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Ports per connector; when empty every port is assumed to offer every listed connector
+  connectorPorts: [{
+    _id: false,
+    connectorType: {
+      type: String,
+      enum: ['CCS', 'CHAdeMO', 'Type2', 'Tesla', 'J1772', 'Other'],
+      required: true
+    },
+    count: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    powerKw: Number
+  }],
   operatorName: String,
   isOperational: {
     type: Boolean,
@@ -52,10 +79,26 @@ const ChargingStationSchema = new mongoose.Schema({
     min: 0,
     max: 5
   },
+  // Rolling score from driver reports (see StationReliabilityLogic)
+  reliability: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    reportCount: Number,
+    lastReportStatus: String,
+    lastReportAt: Date,
+    updatedAt: Date
+  },
   externalSource: {
-    provider: String, // 'OpenChargeMap', 'PlugShare', etc.
+    provider: String, // 'OpenChargeMap', 'PlugShare', etc.; 'Manual' for stations we add ourselves
     externalId: String,
-    lastUpdated: Date
+    countryCode: String,
+    // DateLastStatusUpdate / DateLastVerified from the provider
+    lastUpdated: Date,
+    // Fields corrected by hand that provider syncs must not overwrite
+    lockedFields: [String]
   }
 }, { 
   timestamps: true 
@@ -63,5 +106,6 @@ const ChargingStationSchema = new mongoose.Schema({
 
 // Keep only this 2dsphere index for geospatial queries
 ChargingStationSchema.index({ location: '2dsphere' });
+ChargingStationSchema.index({ 'externalSource.provider': 1, 'externalSource.countryCode': 1 });
 
 module.exports = mongoose.model('ChargingStation', ChargingStationSchema);
\ No newline at end of file
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const ChargingStation = require('./ChargingStation');
+const ChargingSession = require('./ChargingSession');
+const Reservation = require('./Reservation');
+
+// Provider name of stations added through the API rather than imported
+const MANUAL_PROVIDER = 'Manual';
+const CONNECTOR_TYPES = ChargingStation.schema.path('connectorTypes').caster.enumValues;
+
+// Fields the API may set; stationId and externalSource are managed here
+const EDITABLE_FIELDS = [
+  'name', 'address', 'location', 'connectorTypes', 'powerKw', 'ports', 'connectorPorts',
+  'operatorName', 'isOperational', 'cost', 'amenities', 'openingHours', 'phoneNumber', 'website', 'rating'
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function isConnectorPort(port) {
+  return port !== null && typeof port === 'object' && typeof port.connectorType === 'string' &&
+    (port.count === undefined || (Number.isInteger(port.count) && port.count > 0));
+}
+
+/**
+ * Editable station fields from a request body, accepting lat/lng in place of a GeoJSON location
+ * @param {Object} body - Request body
+ * @returns {Object} fields to set, or error when a value is out of range
+ */
+function pickStationFields(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  if (body.lat !== undefined || body.lng !== undefined) {
+    fields.location = { type: 'Point', coordinates: [parseFloat(body.lng), parseFloat(body.lat)] };
+  }
+
+  if (fields.connectorTypes !== undefined &&
+    (!Array.isArray(fields.connectorTypes) || !fields.connectorTypes.every(connector => typeof connector === 'string'))) {
+    return { error: 'connectorTypes must be an array of connector type names' };
+  }
+  if (fields.connectorPorts !== undefined &&
+    (!Array.isArray(fields.connectorPorts) || !fields.connectorPorts.every(isConnectorPort))) {
+    return { error: 'connectorPorts must be an array of { connectorType, count } with a positive whole count' };
+  }
+
+  if (fields.location) {
+    const [lng, lat] = Array.isArray(fields.location.coordinates) ? fields.location.coordinates : [];
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+      return { error: 'Coordinates must be a longitude within -180..180 and a latitude within -90..90' };
+    }
+    fields.location = { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  const connectors = [
+    ...(fields.connectorTypes || []),
+    ...(fields.connectorPorts || []).map(port => port.connectorType)
+  ];
+  const unknown = connectors.filter(connector => !CONNECTOR_TYPES.includes(connector));
+  if (unknown.length > 0) {
+    return { error: `Unknown connector type(s): ${[...new Set(unknown)].join(', ')}. Use one of ${CONNECTOR_TYPES.join(', ')}` };
+  }
+
+  // Per-connector ports decide the total and the listed connectors
+  if (fields.connectorPorts?.length) {
+    fields.ports = fields.connectorPorts.reduce((total, port) => total + (port.count || 1), 0);
+    fields.connectorTypes = [...new Set([...(fields.connectorTypes || []), ...fields.connectorPorts.map(port => port.connectorType)])];
+  }
+
+  return { fields };
+}
+
+function isManualStation(station) {
+  return !station.externalSource?.provider || station.externalSource.provider === MANUAL_PROVIDER;
+}
+
+/**
+ * Mongo filter for the station list
+ * @param {Object} query - operator, connector, minPower, maxPower, operational, source (manual, provider or a provider name)
+ * @returns {Object} filter for ChargingStation.find, or error when a parameter is repeated or not a number
+ */
+function buildStationFilter({ operator, connector, minPower, maxPower, operational, source }) {
+  const filter = {};
+
+  // A repeated query parameter arrives as an array
+  const repeated = Object.entries({ operator, connector, minPower, maxPower, operational, source })
+    .filter(([, value]) => value !== undefined && typeof value !== 'string')
+    .map(([name]) => name);
+  if (repeated.length > 0) {
+    return { error: `${repeated.join(', ')} must be given once; list several connectors as connector=A,B` };
+  }
+  const invalidPower = Object.entries({ minPower, maxPower })
+    .filter(([, value]) => value !== undefined && !Number.isFinite(parseFloat(value)))
+    .map(([name]) => name);
+  if (invalidPower.length > 0) {
+    return { error: `${invalidPower.join(', ')} must be a number of kW` };
+  }
+
+  if (operator) {
+    const escaped = operator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.operatorName = { $regex: escaped, $options: 'i' };
+  }
+  if (connector) {
+    filter.connectorTypes = { $in: connector.split(',') };
+  }
+  if (minPower !== undefined || maxPower !== undefined) {
+    filter.powerKw = {};
+    if (minPower !== undefined) filter.powerKw.$gte = parseFloat(minPower);
+    if (maxPower !== undefined) filter.powerKw.$lte = parseFloat(maxPower);
+  }
+  if (operational !== undefined) {
+    filter.isOperational = operational === 'true';
+  }
+  if (source === 'manual') {
+    filter['externalSource.provider'] = { $in: [MANUAL_PROVIDER, null] };
+  } else if (source === 'provider') {
+    filter['externalSource.provider'] = { $nin: [MANUAL_PROVIDER, null] };
+  } else if (source) {
+    filter['externalSource.provider'] = source;
+  }
+
+  return { filter };
+}
+
+/**
+ * One page of stations matching the list filters
+ * @param {Object} query - Filters (see buildStationFilter) plus page (1-based) and limit
+ * @returns {Object} stations, total, page, limit and pages, or error and status
+ */
+async function listStations(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+  const { filter, error } = buildStationFilter(query);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  const [stations, total] = await Promise.all([
+    ChargingStation.find(filter).sort({ name: 1, stationId: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ChargingStation.countDocuments(filter)
+  ]);
+
+  return { stations, total, page, limit, pages: Math.ceil(total / limit) };
+}
+
+/**
+ * Add a station of our own (e.g. a private depot charger)
+ * @param {Object} body - Station fields; stationId is generated unless given
+ * @returns {Object} station, or error and status
+ */
+async function createStation(body) {
+  const { fields, error } = pickStationFields(body);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  if (body.stationId !== undefined && (typeof body.stationId !== 'string' || !body.stationId.trim())) {
+    return { error: 'stationId must be a non-empty string', status: 400 };
+  }
+  const stationId = body.stationId || `own_${new mongoose.Types.ObjectId()}`;
+  if (stationId.startsWith('ocm_')) {
+    return { error: 'The ocm_ prefix is reserved for OpenChargeMap stations', status: 400 };
+  }
+  if (await ChargingStation.exists({ stationId: stationId })) {
+    return { error: `Station ${stationId} already exists`, status: 409 };
+  }
+
+  const station = new ChargingStation({
+    ...fields,
+    stationId: stationId,
+    externalSource: { provider: MANUAL_PROVIDER, lastUpdated: new Date() }
+  });
+  await station.save();
+
+  return { station };
+}
+
+/**
+ * Change a station. Fields edited on a provider station are locked so the next sync keeps the correction
+ * @param {String} stationId - Station to change
+ * @param {Object} body - Fields to change
+ * @returns {Object} station, or error and status
+ */
+async function updateStation(stationId, body) {
+  const station = await ChargingStation.findOne({ stationId: stationId });
+  if (!station) {
+    return { error: 'Charging station not found', status: 404 };
+  }
+
+  const { fields, error } = pickStationFields(body);
+  if (error) {
+    return { error, status: 400 };
+  }
+  if (Object.keys(fields).length === 0) {
+    return { error: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`, status: 400 };
+  }
+
+  station.set(fields);
+  if (isManualStation(station)) {
+    station.set('externalSource.lastUpdated', new Date());
+  } else {
+    const locked = new Set([...(station.externalSource.lockedFields || []), ...Object.keys(fields)]);
+    station.set('externalSource.lockedFields', [...locked]);
+  }
+  await station.save();
+
+  return { station };
+}
+
+/**
+ * Delete one of our own stations. Provider stations come back on the next sync,
+ * so they are switched off with isOperational instead
+ * @param {String} stationId - Station to delete
+ * @returns {Object} station, or error and status
+ */
+async function deleteStation(stationId) {
+  const station = await ChargingStation.findOne({ stationId: stationId });
+  if (!station) {
+    return { error: 'Charging station not found', status: 404 };
+  }
+
+  if (!isManualStation(station)) {
+    return { error: `${station.name} comes from ${station.externalSource.provider}; set isOperational to false instead`, status: 409 };
+  }
+
+  const [activeSession, booking] = await Promise.all([
+    ChargingSession.exists({ stationId: stationId, status: 'active' }),
+    Reservation.exists({ stationId: stationId, status: { $in: ['pending', 'active'] } })
+  ]);
+  if (activeSession || booking) {
+    return { error: `${station.name} has an active charging session or reservation`, status: 409 };
+  }
+
+  await station.deleteOne();
+  return { station };
+}
+
+module.exports = {
+  MANUAL_PROVIDER,
+  CONNECTOR_TYPES,
+  EDITABLE_FIELDS,
+  buildStationFilter,
+  listStations,
+  createStation,
+  updateStation,
+  deleteStation
+};
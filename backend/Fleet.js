@@ -28,12 +28,32 @@ const FleetSchema = new mongoose.Schema({
     batterySize_kWh: { type: Number, required: true },
     batterySOC_percent: { type: Number, required: true },
     batteryTemperature_C: { type: Number, required: true },
+    // Battery model state (see BatteryPhysicsLogic)
+    ambientTemperature_C: Number,
+    stateOfHealth_percent: { type: Number, min: 0, max: 100, default: 100 },
+    cycleCount: { type: Number, default: 0 },
+    energyThroughput_kWh: { type: Number, default: 0 },
+    availableEnergy_kWh: Number,
+    batteryPower_kW: { type: Number, default: 0 },
+    // Target SoC for charging sessions; unset means the default of 80%
+    chargeLimit_percent: { type: Number, min: 1, max: 100 },
     chargingStatus: {
       type: String,
       enum: ['charging', 'discharging', 'idle'],
       required: true
     },
-    range_km: { type: Number, required: true }
+    // Recalculated every tick by TelemetryEngine from the charge left and avgConsumption_kWhPerKm
+    range_km: { type: Number, required: true },
+    consumption_kWhPerKm: { type: Number, default: 1.2 },
+    // Rolling average measured while driving (at the wheels); unset until the truck has driven
+    avgConsumption_kWhPerKm: Number,
+    // Empty means the connectors are unknown and no station is ruled out
+    supportedConnectors: [{
+      type: String,
+      enum: ['CCS', 'CHAdeMO', 'Type2', 'Tesla', 'J1772', 'Other']
+    }],
+    maxAcPower_kW: { type: Number, default: 22 },
+    maxDcPower_kW: { type: Number, default: 350 }
   }
 }, {
   timestamps: true 
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Per-fleet preferences; trucks are grouped by Fleet.fleetId
+const FleetSettingsSchema = new mongoose.Schema({
+  fleetId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Relative importance of each part of a charging station's score
+  stationRankingWeights: {
+    detourTime: { type: Number, min: 0, default: 1 },
+    chargeTime: { type: Number, min: 0, default: 1 },
+    waitTime: { type: Number, min: 0, default: 1 },
+    price: { type: Number, min: 0, default: 1 },
+    reliability: { type: Number, min: 0, default: 1 },
+    operator: { type: Number, min: 0, default: 0.5 }
+  },
+  preferredOperators: [String]
+}, { timestamps: true });
+
+module.exports = mongoose.model('FleetSettings', FleetSettingsSchema);
@@ -0,0 +1,162 @@
+// MQTT topic tree and payload schema shared by the simulator and the dashboards.
+//
+//   fleet/{id}/telemetry/battery   retained, QoS 0, every tick
+//   fleet/{id}/telemetry/location  retained, QoS 0, when the truck has moved
+//   fleet/{id}/status              retained, QoS 1, when the charging status changes
+//   simulator/status               retained, QoS 1, online on connect, offline as last will
+//   fleet/{id}/cmd                 QoS 1, commands to the vehicle
+//   fleet/{id}/cmd/ack             QoS 1, the vehicle's ack or nack of each command
+//
+// Telemetry payloads are JSON: { schemaVersion, vehicleId, sentAt, data }. A change that breaks
+// existing readers raises schemaVersion; new optional fields in data do not.
+// Commands are { schemaVersion, correlationId, command, params, sentAt } and answered with
+// { schemaVersion, vehicleId, correlationId, command, status: ack|nack, reason, result, sentAt }.
+
+const SCHEMA_VERSION = 1;
+const TOPIC_ROOT = 'fleet';
+const SIMULATOR_STATUS_TOPIC = 'simulator/status';
+
+const QOS_TELEMETRY = 0;
+const QOS_STATUS = 1;
+const QOS_COMMAND = 1;
+
+const COMMANDS = ['setChargingStatus', 'setChargeLimit', 'startTrip', 'stopTrip'];
+
+// Truck fields sent on the battery topic, under the same names as in Fleet
+const BATTERY_FIELDS = [
+  'batterySOC_percent', 'batteryTemperature_C', 'batteryPower_kW', 'stateOfHealth_percent',
+  'availableEnergy_kWh', 'cycleCount', 'energyThroughput_kWh', 'range_km', 'avgConsumption_kWhPerKm'
+];
+
+const batteryTopic = vehicleId => `${TOPIC_ROOT}/${vehicleId}/telemetry/battery`;
+const locationTopic = vehicleId => `${TOPIC_ROOT}/${vehicleId}/telemetry/location`;
+const statusTopic = vehicleId => `${TOPIC_ROOT}/${vehicleId}/status`;
+const commandTopic = vehicleId => `${TOPIC_ROOT}/${vehicleId}/cmd`;
+const commandAckTopic = vehicleId => `${TOPIC_ROOT}/${vehicleId}/cmd/ack`;
+
+/**
+ * Split a topic of the tree into its vehicle id and kind
+ * @param {String} topic - MQTT topic
+ * @returns {Object} vehicleId and kind (e.g. telemetry/battery, status, cmd, cmd/ack), or null
+ */
+function parseFleetTopic(topic) {
+  const [root, vehicleId, ...rest] = topic.split('/');
+  if (root !== TOPIC_ROOT || !vehicleId || rest.length === 0) return null;
+  return { vehicleId, kind: rest.join('/') };
+}
+
+function buildPayload(vehicleId, data) {
+  return JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    vehicleId: vehicleId,
+    sentAt: new Date().toISOString(),
+    data
+  });
+}
+
+/**
+ * Battery telemetry of a truck
+ * @param {String} vehicleId - Fleet document id
+ * @param {Object} truck - Fleet truck sub-document
+ * @returns {String} JSON payload
+ */
+function buildBatteryPayload(vehicleId, truck) {
+  const data = {};
+  BATTERY_FIELDS.forEach(field => {
+    if (typeof truck[field] === 'number') {
+      data[field] = parseFloat(truck[field].toFixed(4));
+    }
+  });
+  return buildPayload(vehicleId, data);
+}
+
+/**
+ * Position of a truck as a GeoJSON point
+ * @param {String} vehicleId - Fleet document id
+ * @param {Object} location - Fleet location ({ type, coordinates: [lng, lat] })
+ * @returns {String} JSON payload
+ */
+function buildLocationPayload(vehicleId, location) {
+  return buildPayload(vehicleId, { type: 'Point', coordinates: location.coordinates });
+}
+
+/**
+ * Charging status of a truck
+ * @param {String} vehicleId - Fleet document id
+ * @param {Object} truck - Fleet truck sub-document
+ * @returns {String} JSON payload
+ */
+function buildStatusPayload(vehicleId, truck) {
+  return buildPayload(vehicleId, { chargingStatus: truck.chargingStatus });
+}
+
+/**
+ * Online/offline state of the simulator; the offline one is registered as the MQTT last will
+ * @param {Boolean} online - Whether the simulator is running
+ * @returns {String} JSON payload
+ */
+function buildSimulatorStatusPayload(online) {
+  return JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    state: online ? 'online' : 'offline',
+    sentAt: new Date().toISOString()
+  });
+}
+
+/**
+ * A command for a vehicle
+ * @param {String} correlationId - Id the ack will carry
+ * @param {String} command - One of COMMANDS
+ * @param {Object} params - Command parameters
+ * @returns {String} JSON payload
+ */
+function buildCommandPayload(correlationId, command, params = {}) {
+  return JSON.stringify({
+    schemaVersion: SCHEMA_VERSION,
+    correlationId: correlationId,
+    command: command,
+    params: params,
+    sentAt: new Date().toISOString()
+  });
+}
+
+/**
+ * A vehicle's answer to a command
+ * @param {String} vehicleId - Fleet document id
+ * @param {Object} command - Parsed command (correlationId, command)
+ * @param {Object} outcome - error (nack reason) or result
+ * @returns {Object} Ack, ready for JSON.stringify
+ */
+function buildCommandAck(vehicleId, command, { error, result }) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    vehicleId: vehicleId,
+    correlationId: command.correlationId,
+    command: command.command,
+    status: error ? 'nack' : 'ack',
+    reason: error,
+    result: result,
+    sentAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  COMMANDS,
+  SIMULATOR_STATUS_TOPIC,
+  QOS_TELEMETRY,
+  QOS_STATUS,
+  QOS_COMMAND,
+  batteryTopic,
+  locationTopic,
+  statusTopic,
+  commandTopic,
+  commandAckTopic,
+  parseFleetTopic,
+  buildBatteryPayload,
+  buildLocationPayload,
+  buildStatusPayload,
+  buildSimulatorStatusPayload,
+  buildCommandPayload,
+  buildCommandAck
+};
@@ -1,66 +1,143 @@
 const mqtt = require('mqtt');
-const mongoose = require('mongoose');
-const client = mqtt.connect('mqtt://localhost:1883');
-const Fleet = require('./Fleet')
+const crypto = require('crypto');
+const {
+    SCHEMA_VERSION, SIMULATOR_STATUS_TOPIC, QOS_STATUS, QOS_COMMAND, commandTopic, commandAckTopic, parseFleetTopic,
+    buildSimulatorStatusPayload, buildCommandPayload, buildCommandAck
+} = require('./FleetTopics')
+const { startTelemetryEngine, stopTelemetryEngine, getTelemetryMetrics } = require('./TelemetryEngine')
+const { executeVehicleCommand } = require('./VehicleCommandLogic')
+
+// How long a sender waits for the vehicle's ack
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS, 10) || 10000;
+// Acks of recent commands, so a redelivered command is answered again instead of run twice
+const RECENT_COMMANDS_LIMIT = 1000;
+
+const pendingCommands = new Map(); // correlationId -> { resolve, timer }
+const recentAcks = new Map(); // correlationId -> promise of the ack, stored before the command runs
+
+// The broker announces the simulator offline if this process drops without saying goodbye
+const client = mqtt.connect('mqtt://localhost:1883', {
+    will: {
+        topic: SIMULATOR_STATUS_TOPIC,
+        payload: buildSimulatorStatusPayload(false),
+        qos: QOS_STATUS,
+        retain: true
+    }
+});
 
 client.on('connect', () => {
     console.log("Connection with mqtt broker has been established")
+    client.publish(SIMULATOR_STATUS_TOPIC, buildSimulatorStatusPayload(true), { qos: QOS_STATUS, retain: true })
+    client.subscribe([commandTopic('+'), commandAckTopic('+')], { qos: QOS_COMMAND }, (err) => {
+        if (err) console.error('Error subscribing to vehicle commands', err);
+    })
 })
 
-const startSimulation = () => {
-    setInterval(async () => {
-        try {
-            const vehicles = await Fleet.find();
-            console.log(`Found ${vehicles.length} vehicles in fleets`);
-
-            for (const vehicle of vehicles) {
-                let newSoc;
-                let newTemp;
-                let statusChanged = false;
-
-                if (vehicle.truck.chargingStatus === 'charging') {
-                    newTemp = vehicle.truck.batteryTemperature_C + Math.random() * 0.5;
-                    newSoc = vehicle.truck.batterySOC_percent + Math.random() * 1;
-
-
-                    if (newSoc >= 100) {
-                        newSoc = 100;
-                        vehicle.truck.chargingStatus = 'idle';
-                        statusChanged = true;
-                    }
-                } else if (vehicle.truck.chargingStatus === 'discharging') {
-                    newTemp = Math.floor(Math.random() * (30 - 15 + 1)) + 15;
-                    newSoc = vehicle.truck.batterySOC_percent - Math.random() * 0.02;
-
-
-                    if (newSoc <= 0) {
-                        newSoc = 0;
-                        vehicle.truck.chargingStatus = 'idle';
-                        statusChanged = true;
-                    }
-                } else {
-                    newTemp = vehicle.truck.batteryTemperature_C;
-                    newSoc = vehicle.truck.batterySOC_percent;
-                }
-
-                vehicle.truck.batterySOC_percent = parseFloat(newSoc.toFixed(2));
-                vehicle.truck.batteryTemperature_C = parseFloat(newTemp.toFixed(2));
-                await vehicle.save();
-
-                const topic = `fleet/${vehicle._id}/data`;
-                const message = JSON.stringify(vehicle);
-                client.publish(topic, message);
-
-                console.log(`🚗 Simulated + Published data for ${vehicle.truck.model},
-                    Battery SoC: ${vehicle.truck.batterySOC_percent}%,
-                    Battery Temp: ${vehicle.truck.batteryTemperature_C}°C,
-                    Status: ${vehicle.truck.chargingStatus}${statusChanged ? ' (Auto-changed to idle)' : ''}`);
-            }
+// The simulated vehicle's side: run the command and answer on fleet/{id}/cmd/ack
+const handleCommand = async (vehicleId, message) => {
+    let command;
+    try {
+        command = JSON.parse(message.toString());
+    } catch (err) {
+        console.error(`Ignoring malformed command for ${vehicleId}`, err);
+        return;
+    }
+    if (!command.correlationId) {
+        console.error(`Ignoring command for ${vehicleId} without correlationId`);
+        return;
+    }
+
+    // A redelivery that arrives while the command is still running waits for the same ack
+    let ackPromise = recentAcks.get(command.correlationId);
+    if (!ackPromise) {
+        const outcome = command.schemaVersion !== SCHEMA_VERSION
+            ? Promise.resolve({ error: `Unsupported schemaVersion ${command.schemaVersion}` })
+            : executeVehicleCommand(vehicleId, command.command, command.params)
+                .catch(err => {
+                    console.error(`Error running ${command.command} for ${vehicleId}`, err);
+                    return { error: 'Command failed on the vehicle' };
+                });
+        ackPromise = outcome.then(result => buildCommandAck(vehicleId, command, result));
+
+        recentAcks.set(command.correlationId, ackPromise);
+        if (recentAcks.size > RECENT_COMMANDS_LIMIT) {
+            recentAcks.delete(recentAcks.keys().next().value);
         }
-        catch (err) {
-            console.error('Error publishing data', err);
+    }
+
+    const ack = await ackPromise;
+    client.publish(commandAckTopic(vehicleId), JSON.stringify(ack), { qos: QOS_COMMAND });
+}
+
+const handleAck = (message) => {
+    try {
+        const ack = JSON.parse(message.toString());
+        const pending = pendingCommands.get(ack.correlationId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            pendingCommands.delete(ack.correlationId);
+            pending.resolve(ack);
         }
-    }, 1000);
+    } catch (err) {
+        console.error('Ignoring malformed command ack', err);
+    }
+}
+
+client.on('message', (topic, message) => {
+    const parsed = parseFleetTopic(topic);
+    if (parsed?.kind === 'cmd') {
+        handleCommand(parsed.vehicleId, message);
+    } else if (parsed?.kind === 'cmd/ack') {
+        handleAck(message);
+    }
+})
+
+/**
+ * Send a command to a vehicle over MQTT and wait for its answer
+ * @param {String} vehicleId - Fleet document id
+ * @param {String} command - setChargingStatus, setChargeLimit, startTrip or stopTrip
+ * @param {Object} params - Command parameters
+ * @returns {Object} The vehicle's ack/nack, or status 'timeout' when none came in time
+ */
+const sendCommand = (vehicleId, command, params = {}) => {
+    const correlationId = crypto.randomUUID();
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            pendingCommands.delete(correlationId);
+            resolve({ vehicleId, correlationId, command, status: 'timeout', reason: `No answer within ${COMMAND_TIMEOUT_MS / 1000} s` });
+        }, COMMAND_TIMEOUT_MS);
+
+        pendingCommands.set(correlationId, { resolve, timer });
+        client.publish(commandTopic(vehicleId), buildCommandPayload(correlationId, command, params), { qos: QOS_COMMAND });
+    });
+}
+
+// Trucks are simulated in memory; publishing does not wait for Mongo writes
+const startSimulation = async () => {
+    await startTelemetryEngine({
+        publish: (topic, message, options) => client.publish(topic, message, options)
+    });
+}
+
+const stopSimulation = async () => {
+    await stopTelemetryEngine();
+    // A clean disconnect does not trigger the last will, so say offline ourselves
+    if (client.connected) {
+        await client.publishAsync(SIMULATOR_STATUS_TOPIC, buildSimulatorStatusPayload(false), { qos: QOS_STATUS, retain: true })
+            .catch(err => console.error('Error publishing simulator offline status', err));
+    }
+    await client.endAsync();
 }
 
-module.exports = { startSimulation }
\ No newline at end of file
+// Engine metrics plus how many messages the MQTT client still holds back
+const getSimulationMetrics = () => ({
+    ...getTelemetryMetrics(),
+    mqtt: {
+        connected: client.connected,
+        queuedMessages: client.queue ? client.queue.length : 0,
+        pendingCommands: pendingCommands.size
+    }
+})
+
+module.exports = { startSimulation, stopSimulation, getSimulationMetrics, sendCommand }
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Persisted state of an in-progress trip, so navigations survive a server restart
+const NavigationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Route'
+  },
+  routeName: {
+    type: String,
+    required: true
+  },
+  currentIndex: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused'],
+    default: 'active'
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  reservePercent: Number,
+  speedFactor: {
+    type: Number,
+    default: 1
+  },
+  // Set once the trip has been re-planned through a charging station
+  chargingStationId: String,
+  tripLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TripLog'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Navigation', NavigationSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { syncOpenChargeMap, importOcmDump } = require('./OcmSyncLogic');
+require('dotenv').config();
+
+// Usage:
+//   node OcmSync.js --country ES [--full]
+//   node OcmSync.js --bbox south,west,north,east [--country ES] [--full]
+//   node OcmSync.js --dump ./ocm-es.json [--country ES] [--full]
+function parseArgs(argv) {
+  const options = { full: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--country':
+        options.countryCode = argv[++i]?.toUpperCase();
+        break;
+      case '--bbox': {
+        const [south, west, north, east] = (argv[++i] || '').split(',').map(Number);
+        if (![south, west, north, east].every(Number.isFinite)) {
+          throw new Error('--bbox expects south,west,north,east');
+        }
+        options.boundingBox = { south, west, north, east };
+        break;
+      }
+      case '--dump':
+        options.dump = argv[++i];
+        break;
+      case '--full':
+        options.full = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function run() {
+  const { dump, ...options } = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGO_URL);
+  try {
+    const result = dump
+      ? await importOcmDump(dump, options)
+      : await syncOpenChargeMap(options);
+    console.table(result);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  run().catch(error => {
+    console.error('OpenChargeMap sync failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const axios = require('axios');
+const ChargingStation = require('./ChargingStation');
+const SyncState = require('./SyncState');
+const { normalizeConnectorType } = require('./ChargingCompatibilityLogic');
+const { buildBoundingBoxFilter } = require('./StationClusterLogic');
+require('dotenv').config();
+
+const OCM_URL = 'https://api.openchargemap.io/v3/poi/';
+const OCM_PROVIDER = 'OpenChargeMap';
+
+// OCM caps every response; a tile that fills a page is split into four smaller ones
+const OCM_PAGE_SIZE = parseInt(process.env.OCM_PAGE_SIZE, 10) || 1000;
+const MAX_TILE_DEPTH = 10;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+const BULK_CHUNK_SIZE = 500;
+
+// Compact responses only carry ConnectionTypeID
+const OCM_CONNECTION_TYPES = {
+  1: 'J1772', // Type 1 (J1772)
+  2: 'CHAdeMO',
+  8: 'Tesla', // Tesla (Roadster)
+  25: 'Type2', // Type 2 (Socket Only)
+  27: 'Tesla', // Tesla Supercharger
+  30: 'Tesla', // Tesla (Model S/X)
+  32: 'CCS', // CCS (Type 1)
+  33: 'CCS', // CCS (Type 2)
+  1036: 'Type2' // Type 2 (Tethered Connector)
+};
+
+// StatusTypeID: available, in use, operational, partly operational
+const OPERATIONAL_STATUS_IDS = [10, 20, 50, 75];
+// StatusTypeID: removed (decommissioned), removed (duplicate listing)
+const REMOVED_STATUS_IDS = [200, 210];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getConnectionType(connection) {
+  return OCM_CONNECTION_TYPES[connection.ConnectionTypeID] || normalizeConnectorType(connection.ConnectionType?.Title);
+}
+
+function getStatusTypeId(poi) {
+  return poi.StatusTypeID ?? poi.StatusType?.ID;
+}
+
+/**
+ * Port counts per connector from OpenChargeMap connections
+ * @param {Array} connections - OCM Connections (ConnectionTypeID or ConnectionType, Quantity, PowerKW)
+ * @returns {Array} { connectorType, count, powerKw } per connector type
+ */
+function groupConnectorPorts(connections) {
+  const groups = new Map();
+
+  connections.forEach(conn => {
+    const connectorType = getConnectionType(conn);
+    const group = groups.get(connectorType) || { connectorType, count: 0, powerKw: 0 };
+    group.count += conn.Quantity || 1;
+    group.powerKw = Math.max(group.powerKw, conn.PowerKW || 0);
+    groups.set(connectorType, group);
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Turn an OpenChargeMap POI (compact or verbose) into ChargingStation fields
+ * @param {Object} poi - OCM POI
+ * @param {String|null} countryCode - Country the POI was requested for, when the POI does not say
+ * @returns {Object|null} Station fields, or null when the POI has no position
+ */
+function mapOcmStation(poi, countryCode = null) {
+  const address = poi.AddressInfo;
+  if (!address || !address.Latitude || !address.Longitude) {
+    return null;
+  }
+
+  const connections = poi.Connections || [];
+  const connectorPorts = groupConnectorPorts(connections);
+  const statusTypeId = getStatusTypeId(poi);
+
+  return {
+    stationId: `ocm_${poi.ID}`,
+    name: address.Title || 'Unknown Station',
+    address: `${address.AddressLine1 || ''} ${address.Town || ''} ${address.Postcode || ''}`.trim() || 'Unknown',
+    location: {
+      type: 'Point',
+      coordinates: [address.Longitude, address.Latitude]
+    },
+    connectorTypes: connectorPorts.length ? connectorPorts.map(port => port.connectorType) : ['Other'],
+    powerKw: Math.max(0, ...connections.map(conn => conn.PowerKW || 0)),
+    connectorPorts: connectorPorts,
+    ports: Math.max(1, connectorPorts.reduce((total, port) => total + port.count, 0)),
+    operatorName: poi.OperatorInfo?.Title || 'Unknown',
+    isOperational: OPERATIONAL_STATUS_IDS.includes(statusTypeId),
+    openingHours: address.AccessComments || 'Unknown',
+    phoneNumber: address.ContactTelephone1,
+    website: address.RelatedURL,
+    externalSource: {
+      provider: OCM_PROVIDER,
+      externalId: poi.ID.toString(),
+      countryCode: address.Country?.ISOCode || countryCode || undefined,
+      lastUpdated: new Date(poi.DateLastStatusUpdate || poi.DateLastVerified || Date.now())
+    }
+  };
+}
+
+// One OCM request, retried on rate limiting, server errors and network failures
+async function fetchOcmPage(params) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.get(OCM_URL, { params, timeout: 60000 });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = !status || status === 429 || status >= 500;
+      if (!retryable || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+      console.warn(`OpenChargeMap request failed (${status || error.code}), retrying in ${RETRY_DELAY_MS * attempt} ms`);
+      await sleep(RETRY_DELAY_MS * attempt);
+    }
+  }
+}
+
+// Country-only syncs that fill a page are tiled from the whole globe; the country filter stays on
+const WORLD_BOUNDING_BOX = { south: -90, west: -180, north: 90, east: 180 };
+
+function splitBoundingBox({ south, west, north, east }) {
+  const midLat = (south + north) / 2;
+  const midLng = (west + east) / 2;
+  return [
+    { south, west, north: midLat, east: midLng },
+    { south, west: midLng, north: midLat, east },
+    { south: midLat, west, north, east: midLng },
+    { south: midLat, west: midLng, north, east }
+  ];
+}
+
+/**
+ * Fetch every POI in scope, splitting full tiles until each fits in one page
+ * @param {Object} scope - boundingBox { south, west, north, east } and/or countryCode, modifiedSince
+ * @returns {Object} pois (deduplicated), requests made and truncated when a tile was still full at MAX_TILE_DEPTH
+ */
+async function fetchOcmStations({ boundingBox = null, countryCode = null, modifiedSince = null }) {
+  const API_KEY = process.env.OPENCHARGE_MAP_API_KEY;
+  if (!API_KEY) {
+    throw new Error('OPENCHARGE_MAP_API_KEY is not set');
+  }
+
+  const pois = new Map();
+  const tiles = [{ box: boundingBox, depth: 0 }];
+  let requests = 0;
+  let truncated = false;
+
+  while (tiles.length > 0) {
+    const { box, depth } = tiles.shift();
+    const page = await fetchOcmPage({
+      key: API_KEY,
+      maxresults: OCM_PAGE_SIZE,
+      compact: true,
+      verbose: false,
+      ...(countryCode && { countrycode: countryCode }),
+      ...(box && { boundingbox: `(${box.south},${box.west}),(${box.north},${box.east})` }),
+      ...(modifiedSince && { modifiedsince: modifiedSince.toISOString().slice(0, 19) })
+    });
+    requests++;
+
+    // Tiles share edges, so the same POI can come back twice
+    page.forEach(poi => pois.set(poi.ID, poi));
+
+    if (page.length >= OCM_PAGE_SIZE && depth < MAX_TILE_DEPTH) {
+      tiles.push(...splitBoundingBox(box || WORLD_BOUNDING_BOX).map(tile => ({ box: tile, depth: depth + 1 })));
+    } else if (page.length >= OCM_PAGE_SIZE) {
+      truncated = true;
+      console.warn(`OpenChargeMap tile ${JSON.stringify(box)} is still full at depth ${depth}; some stations may be missing`);
+    }
+  }
+
+  return { pois: Array.from(pois.values()), requests, truncated };
+}
+
+/**
+ * Insert or update mapped stations in chunks
+ * @param {Array} stations - Output of mapOcmStation
+ * @returns {Object} inserted and updated counts
+ */
+async function upsertStations(stations) {
+  const counts = { inserted: 0, updated: 0 };
+
+  for (let i = 0; i < stations.length; i += BULK_CHUNK_SIZE) {
+    const chunk = stations.slice(i, i + BULK_CHUNK_SIZE);
+
+    // Fields corrected by hand (see ChargingStationLogic.updateStation) keep their local value
+    const lockedStations = await ChargingStation.find(
+      { stationId: { $in: chunk.map(station => station.stationId) }, 'externalSource.lockedFields.0': { $exists: true } },
+      'stationId externalSource.lockedFields'
+    ).lean();
+    const lockedFields = new Map(lockedStations.map(station => [station.stationId, station.externalSource.lockedFields]));
+
+    const result = await ChargingStation.bulkWrite(chunk.map(station => {
+      const { externalSource, ...fields } = station;
+      (lockedFields.get(station.stationId) || []).forEach(field => delete fields[field]);
+
+      // externalSource is set field by field so lockedFields survives
+      const update = { ...fields };
+      Object.entries(externalSource).forEach(([key, value]) => {
+        update[`externalSource.${key}`] = value;
+      });
+
+      return {
+        updateOne: {
+          filter: { stationId: station.stationId },
+          // Only provider fields; local data such as cost, amenities and rating is kept
+          update: { $set: update },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+
+    counts.inserted += result.upsertedCount;
+    counts.updated += result.matchedCount;
+  }
+
+  return counts;
+}
+
+/**
+ * Mark OCM stations in scope that were not part of a full listing as non-operational
+ * @param {Object} scope - boundingBox and/or countryCode of the listing
+ * @param {Array} seenIds - stationIds that were listed
+ * @returns {Number} Stations marked
+ */
+async function markUnlistedStations({ boundingBox = null, countryCode = null }, seenIds) {
+  const filter = {
+    'externalSource.provider': OCM_PROVIDER,
+    isOperational: true,
+    stationId: { $nin: seenIds },
+    'externalSource.lockedFields': { $ne: 'isOperational' }
+  };
+  if (countryCode) {
+    filter['externalSource.countryCode'] = countryCode;
+  }
+  if (boundingBox) {
+    Object.assign(filter, buildBoundingBoxFilter(boundingBox));
+  }
+
+  const result = await ChargingStation.updateMany(filter, { $set: { isOperational: false } });
+  return result.modifiedCount;
+}
+
+/**
+ * Map, upsert and (on a full listing) retire stations for a batch of OCM POIs
+ * @param {Array} pois - OCM POIs
+ * @param {Object} scope - boundingBox, countryCode and full
+ * @returns {Object} fetched, inserted, updated, skipped and removed counts
+ */
+async function applyOcmStations(pois, { boundingBox = null, countryCode = null, full = false }) {
+  const stations = [];
+  let removed = 0;
+
+  pois.forEach(poi => {
+    const station = poi?.ID ? mapOcmStation(poi, countryCode) : null;
+    if (!station) return;
+    if (REMOVED_STATUS_IDS.includes(getStatusTypeId(poi))) {
+      removed++;
+    }
+    stations.push(station);
+  });
+
+  const counts = await upsertStations(stations);
+
+  // An empty listing is more likely a bad request than every station disappearing
+  if (full && stations.length > 0) {
+    removed += await markUnlistedStations({ boundingBox, countryCode }, stations.map(station => station.stationId));
+  }
+
+  return {
+    fetched: pois.length,
+    ...counts,
+    skipped: pois.length - stations.length,
+    removed
+  };
+}
+
+function getSyncKey({ boundingBox = null, countryCode = null }) {
+  const box = boundingBox ? `${boundingBox.south},${boundingBox.west},${boundingBox.north},${boundingBox.east}` : 'all';
+  return `ocm:${countryCode || 'any'}:${box}`;
+}
+
+/**
+ * Sync charging stations from OpenChargeMap. Only POIs changed since the last sync of the
+ * same scope are fetched unless full is set; a full sync also retires stations no longer listed
+ * @param {Object} options - boundingBox { south, west, north, east }, countryCode, full
+ * @returns {Object} Counts (fetched, inserted, updated, skipped, removed, requests), truncated and full
+ */
+async function syncOpenChargeMap({ boundingBox = null, countryCode = null, full = false } = {}) {
+  if (!boundingBox && !countryCode) {
+    throw new Error('A boundingBox or countryCode is required');
+  }
+
+  const key = getSyncKey({ boundingBox, countryCode });
+  const state = await SyncState.findOne({ key });
+  const isFull = full || !state?.lastSyncAt;
+  // Taken before fetching so changes made during the sync are picked up next time
+  const startedAt = new Date();
+
+  const { pois, requests, truncated } = await fetchOcmStations({
+    boundingBox,
+    countryCode,
+    modifiedSince: isFull ? null : state.lastSyncAt
+  });
+  // Stations missing from a truncated listing may still exist, so nothing is retired then
+  const result = {
+    ...(await applyOcmStations(pois, { boundingBox, countryCode, full: isFull && !truncated })),
+    requests,
+    truncated
+  };
+
+  await SyncState.findOneAndUpdate(
+    { key },
+    { lastSyncAt: startedAt, lastResult: result, ...(isFull && { lastFullSyncAt: startedAt }) },
+    { upsert: true }
+  );
+
+  console.log(`OpenChargeMap ${isFull ? 'full' : 'incremental'} sync (${key}):`, result);
+  return { ...result, full: isFull };
+}
+
+/**
+ * Import a locally saved OpenChargeMap JSON dump (an array of POIs, compact or verbose)
+ * @param {String} filePath - Path to the JSON file
+ * @param {Object} options - countryCode to tag POIs with, full to retire stations of that country missing from the dump
+ * @returns {Object} Counts as for syncOpenChargeMap
+ */
+async function importOcmDump(filePath, { countryCode = null, full = false } = {}) {
+  const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  const pois = Array.isArray(data) ? data : [data];
+
+  // Without a country there is no scope to retire stations from
+  const result = await applyOcmStations(pois, { countryCode, full: full && Boolean(countryCode) });
+
+  console.log(`OpenChargeMap dump import (${filePath}):`, result);
+  return result;
+}
+
+module.exports = {
+  OCM_CONNECTION_TYPES,
+  groupConnectorPorts,
+  mapOcmStation,
+  fetchOcmStations,
+  syncOpenChargeMap,
+  importOcmDump
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A truck's booked time slot at a charging station
+const ReservationSchema = new mongoose.Schema({
+  stationId: {
+    type: String,
+    required: true
+  },
+  stationName: String,
+  // Fleet document id of the truck, as used for navigation
+  userId: {
+    type: String,
+    required: true
+  },
+  // Connectors the truck can use at this station
+  connectorTypes: [String],
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'fulfilled', 'no-show', 'cancelled'],
+    default: 'pending'
+  },
+  createdBy: {
+    type: String,
+    enum: ['driver', 'fleet-manager'],
+    default: 'driver'
+  },
+  arrivedAt: Date,
+  cancelledAt: Date
+}, { timestamps: true });
+
+ReservationSchema.index({ stationId: 1, startTime: 1 });
+ReservationSchema.index({ userId: 1, startTime: 1 });
+
+module.exports = mongoose.model('Reservation', ReservationSchema);
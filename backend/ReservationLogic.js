@@ -0,0 +1,151 @@
+const Reservation = require('./Reservation');
+const ChargingStation = require('./ChargingStation');
+const Fleet = require('./Fleet');
+const { calculateDistance } = require('./RouteChargingLogic');
+const { getTotalPorts, sharesPortGroup } = require('./StationOccupancyLogic');
+require('dotenv').config();
+
+// How early or late a truck may turn up and still get its slot
+const RESERVATION_TOLERANCE_MINUTES = parseFloat(process.env.RESERVATION_TOLERANCE_MINUTES) || 15;
+// A truck this close to the station counts as arrived
+const ARRIVAL_RADIUS_KM = 0.3;
+
+// Reservations that still hold a port
+const HOLDING_STATUSES = ['pending', 'active'];
+
+/**
+ * Most reservations running at the same moment inside a time window
+ * @param {Array} reservations - Reservations overlapping the window
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @returns {Number} Peak number of concurrent reservations
+ */
+function findPeakOverlap(reservations, startTime, endTime) {
+  const changes = [];
+  reservations.forEach(reservation => {
+    changes.push({ time: Math.max(reservation.startTime.getTime(), startTime.getTime()), delta: 1 });
+    changes.push({ time: Math.min(reservation.endTime.getTime(), endTime.getTime()), delta: -1 });
+  });
+
+  // Ends before starts at the same instant, so back-to-back slots do not overlap
+  changes.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+  let current = 0;
+  let peak = 0;
+  changes.forEach(change => {
+    current += change.delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+}
+
+/**
+ * Check that a station has a free port the truck can use for the whole slot and the truck is not double-booked
+ * @param {Object} station - ChargingStation document
+ * @param {String} userId - Truck's fleet document id
+ * @param {Date} startTime - Slot start
+ * @param {Date} endTime - Slot end
+ * @param {Array} connectors - Connectors the truck can use at the station
+ * @returns {Object} available, plus reason when it is not
+ */
+async function checkReservationAvailability(station, userId, startTime, endTime, connectors) {
+  const overlapping = {
+    status: { $in: HOLDING_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  const truckBooking = await Reservation.findOne({ ...overlapping, userId: userId });
+  if (truckBooking) {
+    return { available: false, reason: 'Truck already has a reservation in this time slot' };
+  }
+
+  // Only bookings that could take one of this truck's ports count against them
+  const stationBookings = (await Reservation.find({ ...overlapping, stationId: station.stationId }))
+    .filter(booking => sharesPortGroup(station, connectors, booking.connectorTypes));
+  const ports = getTotalPorts(station, connectors);
+  if (findPeakOverlap(stationBookings, startTime, endTime) >= ports) {
+    return { available: false, reason: `All ${ports} compatible port(s) at ${station.name} are booked in this time slot` };
+  }
+
+  return { available: true };
+}
+
+/**
+ * Reservations holding a port at a station right now, including pending slots the truck may still arrive for
+ * @param {String} stationId - Station id
+ * @returns {Array} Pending and active reservations
+ */
+async function findHoldingReservations(stationId) {
+  const now = new Date();
+  return Reservation.find({
+    stationId: stationId,
+    status: { $in: HOLDING_STATUSES },
+    startTime: { $lte: new Date(now.getTime() + RESERVATION_TOLERANCE_MINUTES * 60 * 1000) },
+    endTime: { $gt: now }
+  });
+}
+
+/**
+ * Move reservations along as time passes: honour arrivals within the tolerance window,
+ * mark no-shows and fulfil finished slots
+ * @returns {Array} Reservations whose status changed
+ */
+async function processReservations() {
+  const now = new Date();
+  const toleranceMs = RESERVATION_TOLERANCE_MINUTES * 60 * 1000;
+  const changed = [];
+
+  // Pending slots that a truck could be arriving for right now
+  const due = await Reservation.find({
+    status: 'pending',
+    startTime: { $lte: new Date(now.getTime() + toleranceMs) },
+    endTime: { $gt: now }
+  });
+
+  for (const reservation of due) {
+    const [station, fleet] = await Promise.all([
+      ChargingStation.findOne({ stationId: reservation.stationId }),
+      Fleet.findById(reservation.userId)
+    ]);
+
+    const arrived = station && fleet?.location?.coordinates?.length === 2 &&
+      calculateDistance(fleet.location.coordinates, station.location.coordinates) <= ARRIVAL_RADIUS_KM;
+
+    if (arrived) {
+      reservation.status = 'active';
+      reservation.arrivedAt = now;
+      await reservation.save();
+      changed.push(reservation);
+    } else if (now.getTime() > reservation.startTime.getTime() + toleranceMs) {
+      reservation.status = 'no-show';
+      await reservation.save();
+      changed.push(reservation);
+    }
+  }
+
+  // Slots that ended without anyone turning up
+  const missed = await Reservation.find({ status: 'pending', endTime: { $lte: now } });
+  for (const reservation of missed) {
+    reservation.status = 'no-show';
+    await reservation.save();
+    changed.push(reservation);
+  }
+
+  const finished = await Reservation.find({ status: 'active', endTime: { $lte: now } });
+  for (const reservation of finished) {
+    reservation.status = 'fulfilled';
+    await reservation.save();
+    changed.push(reservation);
+  }
+
+  return changed;
+}
+
+module.exports = {
+  RESERVATION_TOLERANCE_MINUTES,
+  findPeakOverlap,
+  checkReservationAvailability,
+  findHoldingReservations,
+  processReservations
+};
@@ -73,6 +73,29 @@ const MetadataSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Ordered stop on a multi-drop route; each pair of consecutive waypoints is a leg
+const WaypointSchema = new mongoose.Schema({
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['start', 'facility', 'charging', 'point'],
+    default: 'point'
+  },
+  refId: String, // Facility _id or ChargingStation stationId
+  name: String
+}, { _id: false });
+
+const LegSchema = new mongoose.Schema({
+  fromWaypoint: Number,
+  toWaypoint: Number,
+  distance: Number,
+  duration: Number,
+  segment: SegmentSchema
+}, { _id: false });
+
 const RouteSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -95,6 +118,22 @@ const RouteSchema = new mongoose.Schema({
     type: [Number],
     required: true
   },
+  waypoints: [WaypointSchema],
+  legs: [LegSchema],
+  profile: {
+    type: String,
+    default: 'driving-car'
+  },
+  // Re-planned mid-trip through a charging station
+  isDiversion: {
+    type: Boolean,
+    default: false
+  },
+  // Set on trip records that reuse the geometry of a cached route
+  sourceRouteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
   status: {
     type: String,
     enum: ['created', 'alive', 'dead'],
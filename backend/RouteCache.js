@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Maps rounded waypoints + profile to the Route that holds the planned geometry
+const RouteCacheSchema = new mongoose.Schema({
+  cacheKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  profile: {
+    type: String,
+    default: 'driving-car'
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Route'
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// MongoDB drops entries once expiresAt has passed
+RouteCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RouteCache', RouteCacheSchema);
@@ -0,0 +1,98 @@
+const RouteCache = require('./RouteCache');
+const Route = require('./Route');
+require('dotenv').config();
+
+// 3 decimals is roughly 100 m, close enough to treat two depot departures as the same run
+const ROUTE_CACHE_PRECISION = parseInt(process.env.ROUTE_CACHE_PRECISION, 10) || 3;
+const ROUTE_CACHE_TTL_HOURS = parseFloat(process.env.ROUTE_CACHE_TTL_HOURS) || 24 * 7;
+
+/**
+ * Build the cache key for a list of waypoints
+ * @param {Array} coordinates - Ordered [lng, lat] waypoints
+ * @param {String} profile - Routing profile (default: driving-car)
+ * @returns {String} Cache key
+ */
+function buildRouteCacheKey(coordinates, profile = 'driving-car') {
+  const rounded = coordinates.map(([lng, lat]) =>
+    `${lng.toFixed(ROUTE_CACHE_PRECISION)},${lat.toFixed(ROUTE_CACHE_PRECISION)}`
+  );
+  return `${profile}|${rounded.join(';')}`;
+}
+
+/**
+ * Find a previously planned route for the same waypoints
+ * @param {Array} coordinates - Ordered [lng, lat] waypoints
+ * @param {String} profile - Routing profile
+ * @returns {Object|null} Route document holding the geometry, or null on a miss
+ */
+async function findCachedRoute(coordinates, profile = 'driving-car') {
+  const entry = await RouteCache.findOneAndUpdate(
+    { cacheKey: buildRouteCacheKey(coordinates, profile), expiresAt: { $gt: new Date() } },
+    { $inc: { hits: 1 } },
+    { new: true }
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  const route = await Route.findById(entry.routeId);
+  if (!route) {
+    await RouteCache.deleteOne({ _id: entry._id });
+    return null;
+  }
+
+  return route;
+}
+
+/**
+ * Remember the route holding the geometry for a list of waypoints
+ * @param {Array} coordinates - Ordered [lng, lat] waypoints
+ * @param {String} profile - Routing profile
+ * @param {ObjectId} routeId - Route document holding the geometry
+ */
+async function cacheRoute(coordinates, profile, routeId) {
+  await RouteCache.findOneAndUpdate(
+    { cacheKey: buildRouteCacheKey(coordinates, profile) },
+    {
+      profile,
+      routeId,
+      hits: 0,
+      expiresAt: new Date(Date.now() + ROUTE_CACHE_TTL_HOURS * 3600 * 1000)
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Trip records created from a cache hit keep their geometry on the source route.
+ * Returns a plain route object with the geometry filled in.
+ * @param {Object} route - Route document
+ * @returns {Object|null} Route with type, bbox, features, metadata and legs, or null if the source is gone
+ */
+async function withRouteGeometry(route) {
+  if (!route.sourceRouteId) {
+    return route;
+  }
+
+  const source = await Route.findById(route.sourceRouteId);
+  if (!source) {
+    return null;
+  }
+
+  return {
+    ...route.toObject(),
+    type: source.type,
+    bbox: source.bbox,
+    features: source.features,
+    metadata: source.metadata,
+    legs: source.legs
+  };
+}
+
+module.exports = {
+  buildRouteCacheKey,
+  findCachedRoute,
+  cacheRoute,
+  withRouteGeometry
+};
@@ -1,33 +1,41 @@
 const ChargingStation = require('./ChargingStation');
+const { calculateSocAfterDistance } = require('./BatteryLogic');
+const { filterCompatibleStations } = require('./ChargingCompatibilityLogic');
+const { usableStationFilter } = require('./StationReliabilityLogic');
 require('dotenv').config();
 
 /**
  * Find charging stations along a route
  * @param {Array} routeCoordinates - Array of [lng, lat] coordinates defining the route
  * @param {Number} maxDistance - Maximum distance in kilometers from route (default: 5km)
- * @param {Number} maxStations - Maximum number of stations to return (default: 4)
+ * @param {Number} maxStations - Maximum number of stations to return, a positive whole number (default: 4)
+ * @param {Object} truck - Fleet truck sub-document; stations it cannot plug into are skipped (optional)
  * @returns {Array} Array of charging stations with additional route info
  */
-async function findChargingStationsAlongRoute(routeCoordinates, maxDistance = 5, maxStations = 4) {
+async function findChargingStationsAlongRoute(routeCoordinates, maxDistance = 5, maxStations = 4, truck = null) {
+  if (!Number.isInteger(maxStations) || maxStations < 1) {
+    throw new Error(`maxStations must be a positive whole number, got ${maxStations}`);
+  }
+
   try {
     if (!routeCoordinates || routeCoordinates.length < 2) {
       return [];
     }
 
     // Method 1: Use $geoWithin with a buffered polygon around the route
-    const stations = await findStationsWithinRouteBuffer(routeCoordinates, maxDistance, maxStations);
+    const stations = await findStationsWithinRouteBuffer(routeCoordinates, maxDistance, maxStations, truck);
     
     if (stations.length > 0) {
       return stations;
     }
 
     // Method 2: Fallback to sampling points along the route
-    return await findStationsNearRoutePoints(routeCoordinates, maxDistance, maxStations);
+    return await findStationsNearRoutePoints(routeCoordinates, maxDistance, maxStations, truck);
 
   } catch (error) {
     console.error('Error finding charging stations along route:', error);
     // Final fallback
-    return await findStationsNearRoutePoints(routeCoordinates, maxDistance, maxStations);
+    return await findStationsNearRoutePoints(routeCoordinates, maxDistance, maxStations, truck);
   }
 }
 
@@ -36,43 +44,27 @@ async function findChargingStationsAlongRoute(routeCoordinates, maxDistance = 5,
  * @param {Array} routeCoordinates - Array of [lng, lat] coordinates
  * @param {Number} maxDistance - Maximum distance in km
  * @param {Number} maxStations - Maximum stations to return
+ * @param {Object} truck - Fleet truck sub-document for connector filtering (optional)
  * @returns {Array} Array of charging stations
  */
-async function findStationsWithinRouteBuffer(routeCoordinates, maxDistance, maxStations) {
+async function findStationsWithinRouteBuffer(routeCoordinates, maxDistance, maxStations, truck = null) {
   try {
-    // Create a bounding box around the route
-    const bounds = calculateRouteBounds(routeCoordinates);
-    
-    // Expand bounds by maxDistance (approximate)
-    const buffer = maxDistance / 111; // Rough conversion: 1 degree ≈ 111km
-    const expandedBounds = {
-      minLng: bounds.minLng - buffer,
-      maxLng: bounds.maxLng + buffer,
-      minLat: bounds.minLat - buffer,
-      maxLat: bounds.maxLat + buffer
-    };
-
-    // Find stations within the expanded bounding box
+    // Query a corridor of maxDistance around the route instead of its whole bounding box
+    const corridor = buildRouteCorridor(routeCoordinates, maxDistance);
     const nearbyStations = await ChargingStation.find({
-      isOperational: true,
-      'location.coordinates.0': { 
-        $gte: expandedBounds.minLng, 
-        $lte: expandedBounds.maxLng 
-      },
-      'location.coordinates.1': { 
-        $gte: expandedBounds.minLat, 
-        $lte: expandedBounds.maxLat 
-      }
-    }).limit(maxStations * 5); // Get more to filter better ones
+      ...usableStationFilter(),
+      $or: corridor.map(polygon => ({ location: { $geoWithin: { $geometry: polygon } } }))
+    });
 
     if (nearbyStations.length === 0) {
       return [];
     }
 
     // Calculate actual distance from route for each station
+    const cumulativeDistances = calculateCumulativeDistances(routeCoordinates);
     const stationsWithDistance = nearbyStations.map(station => {
       const stationCoords = station.location.coordinates;
-      const routePosition = findNearestPointOnRoute(stationCoords, routeCoordinates);
+      const routePosition = findNearestPointOnRoute(stationCoords, routeCoordinates, cumulativeDistances);
       
       // Only include stations within the specified distance
       if (routePosition.distanceKm <= maxDistance) {
@@ -86,9 +78,10 @@ async function findStationsWithinRouteBuffer(routeCoordinates, maxDistance, maxS
     }).filter(Boolean);
 
     // Sort by route position and select evenly spaced stations
-    stationsWithDistance.sort((a, b) => a.routePosition.index - b.routePosition.index);
+    const compatibleStations = filterCompatibleStations(stationsWithDistance, truck);
+    compatibleStations.sort((a, b) => a.routePosition.distanceAlongRouteKm - b.routePosition.distanceAlongRouteKm);
     
-    return selectEvenlySpacedStations(stationsWithDistance, maxStations);
+    return selectEvenlySpacedStations(compatibleStations, maxStations);
 
   } catch (error) {
     console.error('Error in findStationsWithinRouteBuffer:', error);
@@ -101,15 +94,17 @@ async function findStationsWithinRouteBuffer(routeCoordinates, maxDistance, maxS
  * @param {Array} routeCoordinates - Array of [lng, lat] coordinates
  * @param {Number} maxDistance - Maximum distance in km
  * @param {Number} maxStations - Maximum stations to return
+ * @param {Object} truck - Fleet truck sub-document for connector filtering (optional)
  * @returns {Array} Array of charging stations
  */
-async function findStationsNearRoutePoints(routeCoordinates, maxDistance = 5, maxStations = 4) {
+async function findStationsNearRoutePoints(routeCoordinates, maxDistance = 5, maxStations = 4, truck = null) {
   try {
     // Sample points along the route (every 10th point or reduce based on route length)
     const sampleInterval = Math.max(1, Math.floor(routeCoordinates.length / 10));
     const samplePoints = routeCoordinates.filter((_, index) => index % sampleInterval === 0);
     
     const allStations = new Map(); // Use Map to avoid duplicates
+    const cumulativeDistances = calculateCumulativeDistances(routeCoordinates);
 
     // Find stations near each sample point using $geoNear
     for (const point of samplePoints) {
@@ -124,7 +119,7 @@ async function findStationsNearRoutePoints(routeCoordinates, maxDistance = 5, ma
               distanceField: 'distanceFromPoint',
               maxDistance: maxDistance * 1000, // Convert to meters
               spherical: true,
-              query: { isOperational: true }
+              query: usableStationFilter()
             }
           },
           {
@@ -136,12 +131,12 @@ async function findStationsNearRoutePoints(routeCoordinates, maxDistance = 5, ma
         nearbyStations.forEach(station => {
           if (!allStations.has(station.stationId)) {
             const stationCoords = station.location.coordinates;
-            const routePosition = findNearestPointOnRoute(stationCoords, routeCoordinates);
+            const routePosition = findNearestPointOnRoute(stationCoords, routeCoordinates, cumulativeDistances);
             
             allStations.set(station.stationId, {
               ...station,
               routePosition: routePosition,
-              distanceFromRouteKm: Math.round((station.distanceFromPoint / 1000) * 10) / 10
+              distanceFromRouteKm: routePosition.distanceKm
             });
           }
         });
@@ -151,8 +146,8 @@ async function findStationsNearRoutePoints(routeCoordinates, maxDistance = 5, ma
     }
 
     // Convert Map to Array and sort by route position
-    const stationsArray = Array.from(allStations.values());
-    stationsArray.sort((a, b) => a.routePosition.index - b.routePosition.index);
+    const stationsArray = filterCompatibleStations(Array.from(allStations.values()), truck);
+    stationsArray.sort((a, b) => a.routePosition.distanceAlongRouteKm - b.routePosition.distanceAlongRouteKm);
 
     // Select evenly spaced stations
     return selectEvenlySpacedStations(stationsArray, maxStations);
@@ -163,52 +158,153 @@ async function findStationsNearRoutePoints(routeCoordinates, maxDistance = 5, ma
   }
 }
 
+// Flat-earth conversion around a reference latitude; accurate to well under 1% over a few hundred km
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG_AT_EQUATOR = 111.32;
+
+function toLocalKm([lng, lat], [originLng, originLat]) {
+  return [
+    (lng - originLng) * KM_PER_DEGREE_LNG_AT_EQUATOR * Math.cos(originLat * Math.PI / 180),
+    (lat - originLat) * KM_PER_DEGREE_LAT
+  ];
+}
+
+function fromLocalKm([x, y], [originLng, originLat]) {
+  return [
+    originLng + x / (KM_PER_DEGREE_LNG_AT_EQUATOR * Math.cos(originLat * Math.PI / 180)),
+    originLat + y / KM_PER_DEGREE_LAT
+  ];
+}
+
 /**
- * Calculate bounding box for route coordinates
- * @param {Array} routeCoordinates - Array of [lng, lat] coordinates
- * @returns {Object} Bounding box with min/max lat/lng
+ * Closest point to a coordinate on one route segment
+ * @param {Array} point - [lng, lat]
+ * @param {Array} segmentStart - [lng, lat]
+ * @param {Array} segmentEnd - [lng, lat]
+ * @returns {Object} fraction along the segment (0-1), coordinates of the closest point and distanceKm to it
  */
-function calculateRouteBounds(routeCoordinates) {
-  let minLng = Infinity, maxLng = -Infinity;
-  let minLat = Infinity, maxLat = -Infinity;
-  
-  routeCoordinates.forEach(([lng, lat]) => {
-    minLng = Math.min(minLng, lng);
-    maxLng = Math.max(maxLng, lng);
-    minLat = Math.min(minLat, lat);
-    maxLat = Math.max(maxLat, lat);
-  });
-  
-  return { minLng, maxLng, minLat, maxLat };
+function projectPointOnSegment(point, segmentStart, segmentEnd) {
+  const [px, py] = toLocalKm(point, segmentStart);
+  const [bx, by] = toLocalKm(segmentEnd, segmentStart);
+  const lengthSquared = bx * bx + by * by;
+
+  const fraction = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared));
+  const coordinates = [
+    segmentStart[0] + (segmentEnd[0] - segmentStart[0]) * fraction,
+    segmentStart[1] + (segmentEnd[1] - segmentStart[1]) * fraction
+  ];
+
+  return { fraction, coordinates, distanceKm: calculateDistance(point, coordinates) };
 }
 
 /**
- * Find the nearest point on route to a given station
+ * Find the nearest point on the route's segments to a given station
  * @param {Array} stationCoords - [lng, lat] of the charging station
  * @param {Array} routeCoordinates - Array of route coordinates
- * @returns {Object} Nearest point info with index and distance
+ * @param {Array} cumulativeDistances - From calculateCumulativeDistances(routeCoordinates), computed when omitted
+ * @returns {Object} segmentIndex, coordinates of the nearest point, distanceKm from the route
+ *   and distanceAlongRouteKm from the route start to that point
  */
-function findNearestPointOnRoute(stationCoords, routeCoordinates) {
-  let minDistance = Infinity;
-  let nearestIndex = 0;
-  let nearestPoint = routeCoordinates[0];
-
-  for (let i = 0; i < routeCoordinates.length; i++) {
-    const distance = calculateDistance(stationCoords, routeCoordinates[i]);
-    if (distance < minDistance) {
-      minDistance = distance;
-      nearestIndex = i;
-      nearestPoint = routeCoordinates[i];
+function findNearestPointOnRoute(stationCoords, routeCoordinates, cumulativeDistances = calculateCumulativeDistances(routeCoordinates)) {
+  let nearest = { fraction: 0, coordinates: routeCoordinates[0], distanceKm: calculateDistance(stationCoords, routeCoordinates[0]) };
+  let segmentIndex = 0;
+
+  for (let i = 0; i < routeCoordinates.length - 1; i++) {
+    const projection = projectPointOnSegment(stationCoords, routeCoordinates[i], routeCoordinates[i + 1]);
+    if (projection.distanceKm < nearest.distanceKm) {
+      nearest = projection;
+      segmentIndex = i;
     }
   }
 
+  const segmentLength = (cumulativeDistances[segmentIndex + 1] ?? cumulativeDistances[segmentIndex]) - cumulativeDistances[segmentIndex];
+
   return {
-    index: nearestIndex,
-    coordinates: nearestPoint,
-    distanceKm: Math.round(minDistance * 10) / 10
+    segmentIndex,
+    coordinates: nearest.coordinates,
+    distanceKm: Math.round(nearest.distanceKm * 10) / 10,
+    distanceAlongRouteKm: Math.round((cumulativeDistances[segmentIndex] + segmentLength * nearest.fraction) * 1000) / 1000
   };
 }
 
+/**
+ * Douglas-Peucker simplification of a route
+ * @param {Array} routeCoordinates - Array of [lng, lat] coordinates
+ * @param {Number} toleranceKm - Largest allowed distance between the route and its simplification
+ * @returns {Array} Kept coordinates, always including both ends
+ */
+function simplifyRoute(routeCoordinates, toleranceKm) {
+  const keep = new Array(routeCoordinates.length).fill(false);
+  keep[0] = true;
+  keep[routeCoordinates.length - 1] = true;
+
+  // Iterative so long routes cannot overflow the call stack
+  const ranges = [[0, routeCoordinates.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let furthestIndex = -1;
+    let furthestDistance = toleranceKm;
+
+    for (let i = first + 1; i < last; i++) {
+      const { distanceKm } = projectPointOnSegment(routeCoordinates[i], routeCoordinates[first], routeCoordinates[last]);
+      if (distanceKm > furthestDistance) {
+        furthestDistance = distanceKm;
+        furthestIndex = i;
+      }
+    }
+
+    if (furthestIndex !== -1) {
+      keep[furthestIndex] = true;
+      ranges.push([first, furthestIndex], [furthestIndex, last]);
+    }
+  }
+
+  return routeCoordinates.filter((_, index) => keep[index]);
+}
+
+// Most polygons in a corridor query; longer routes are simplified more coarsely
+const MAX_CORRIDOR_SEGMENTS = 60;
+
+/**
+ * Buffered corridor around a route as one rectangle per (simplified) segment,
+ * each extended past its ends so consecutive rectangles overlap at the bends
+ * @param {Array} routeCoordinates - Array of [lng, lat] coordinates
+ * @param {Number} bufferKm - Corridor half-width in km
+ * @returns {Array} GeoJSON Polygons whose union covers every point within bufferKm of the route
+ */
+function buildRouteCorridor(routeCoordinates, bufferKm) {
+  let toleranceKm = bufferKm / 4;
+  let simplified = simplifyRoute(routeCoordinates, toleranceKm);
+  while (simplified.length - 1 > MAX_CORRIDOR_SEGMENTS) {
+    toleranceKm *= 2;
+    simplified = simplifyRoute(routeCoordinates, toleranceKm);
+  }
+
+  // Widen by the simplification error so the corridor still covers the real route
+  const width = bufferKm + toleranceKm;
+
+  const polygons = [];
+  for (let i = 0; i < simplified.length - 1; i++) {
+    const start = simplified[i];
+    const [ex, ey] = toLocalKm(simplified[i + 1], start);
+    const length = Math.hypot(ex, ey);
+    // Zero-length segments still get a square around the point
+    const [ux, uy] = length === 0 ? [1, 0] : [ex / length, ey / length];
+    const [nx, ny] = [-uy, ux];
+
+    const corners = [
+      [-ux * width + nx * width, -uy * width + ny * width],
+      [ex + ux * width + nx * width, ey + uy * width + ny * width],
+      [ex + ux * width - nx * width, ey + uy * width - ny * width],
+      [-ux * width - nx * width, -uy * width - ny * width]
+    ].map(corner => fromLocalKm(corner, start));
+
+    polygons.push({ type: 'Polygon', coordinates: [[...corners, corners[0]]] });
+  }
+
+  return polygons;
+}
+
 /**
  * Select evenly spaced stations along the route
  * @param {Array} stations - Stations sorted by route position
@@ -252,83 +348,56 @@ function calculateDistance(coord1, coord2) {
 
   return R * c;
 }
+/**
+ * Calculate the distance driven from the first coordinate to every coordinate of a path
+ * @param {Array} coordinates - Array of [lng, lat] coordinates
+ * @returns {Array} Cumulative distances in kilometers, one per coordinate
+ */
+function calculateCumulativeDistances(coordinates) {
+  const cumulativeDistances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    cumulativeDistances.push(cumulativeDistances[i - 1] + calculateDistance(coordinates[i - 1], coordinates[i]));
+  }
+  return cumulativeDistances;
+}
 
-
-async function populateChargingStationsFromAPI(boundingBox, countryCode = 'ES') {
-  try {
-    
-    const API_KEY = process.env.OPENCHARGE_MAP_API_KEY;
-    
-    if (!API_KEY) {
-      console.log('OpenChargeMap API key not found. Skipping station population.');
-      return;
-    }
-
-    const axios = require('axios');
-    const url = `https://api.openchargemap.io/v3/poi/`;
-    
-    const params = {
-      key: API_KEY,
-      countrycode: 'ES',
-      maxresults: 1000,
-      compact: true,
-      verbose: false,
-   
-      ...(boundingBox && {
-        boundingbox: `${boundingBox.south},${boundingBox.west},${boundingBox.north},${boundingBox.east}`
-      })
+/**
+ * Pick the charging station furthest along the route that the truck can still reach
+ * @param {Array} routeCoordinates - Remaining [lng, lat] route coordinates, starting at the truck
+ * @param {Object} truck - Fleet truck sub-document (battery size, SoC, consumption)
+ * @param {Number} maxDistance - Maximum distance in kilometers from route (default: 5km)
+ * @param {Number} minArrivalSoc - Lowest acceptable SoC on arrival in percent (default: 5)
+ * @returns {Object|null} Station with distanceAlongRouteKm and arrivalSoc, or null if none is reachable
+ */
+async function findReachableChargingStation(routeCoordinates, truck, maxDistance = 5, minArrivalSoc = 5) {
+  const stations = await findChargingStationsAlongRoute(routeCoordinates, maxDistance, 10, truck);
+
+  const reachableStations = stations.map(station => {
+    const distanceAlongRouteKm = station.routePosition.distanceAlongRouteKm + station.distanceFromRouteKm;
+    return {
+      ...station,
+      distanceAlongRouteKm: Math.round(distanceAlongRouteKm * 10) / 10,
+      arrivalSoc: calculateSocAfterDistance(truck, distanceAlongRouteKm)
     };
+  }).filter(station => station.arrivalSoc >= minArrivalSoc);
 
-    const response = await axios.get(url, { params });
-    const stations = response.data;
-
-    for (const station of stations) {
-      if (!station.AddressInfo || !station.AddressInfo.Latitude || !station.AddressInfo.Longitude) {
-        continue;
-      }
-
-      const stationData = {
-        stationId: `ocm_${station.ID}`,
-        name: station.AddressInfo.Title || 'Unknown Station',
-        address: `${station.AddressInfo.AddressLine1 || ''} ${station.AddressInfo.Town || ''} ${station.AddressInfo.Postcode || ''}`.trim(),
-        location: {
-          type: 'Point',
-          coordinates: [station.AddressInfo.Longitude, station.AddressInfo.Latitude]
-        },
-        connectorTypes: station.Connections?.map(conn => 
-          conn.ConnectionType?.Title || 'Other'
-        ).filter(Boolean) || ['Other'],
-        powerKw: station.Connections?.[0]?.PowerKW || 0,
-        operatorName: station.OperatorInfo?.Title || 'Unknown',
-        isOperational: station.StatusType?.ID === 50, // 50 = Operational in OCM
-        openingHours: station.AddressInfo?.AccessComments || 'Unknown',
-        phoneNumber: station.AddressInfo?.ContactTelephone1,
-        website: station.AddressInfo?.RelatedURL,
-        externalSource: {
-          provider: 'OpenChargeMap',
-          externalId: station.ID.toString(),
-          lastUpdated: new Date()
-        }
-      };
-
-      // Upsert station (update if exists, insert if new)
-      await ChargingStation.findOneAndUpdate(
-        { stationId: stationData.stationId },
-        stationData,
-        { upsert: true, new: true }
-      );
-    }
-
-    console.log(`Successfully populated ${stations.length} charging stations from OpenChargeMap`);
-  } catch (error) {
-    console.error('Error populating charging stations:', error);
+  if (reachableStations.length === 0) {
+    return null;
   }
+
+  // Furthest reachable station covers the most distance before the stop
+  return reachableStations.reduce((best, station) =>
+    station.distanceAlongRouteKm > best.distanceAlongRouteKm ? station : best
+  );
 }
 
 module.exports = {
   findChargingStationsAlongRoute,
   findStationsNearRoutePoints,
   findStationsWithinRouteBuffer,
-  populateChargingStationsFromAPI,
-  calculateDistance
+  findReachableChargingStation,
+  findNearestPointOnRoute,
+  buildRouteCorridor,
+  calculateDistance,
+  calculateCumulativeDistances
 };
\ No newline at end of file
@@ -1,39 +1,203 @@
+const { calculateCumulativeDistances } = require('./RouteChargingLogic');
+
 function interpolateCoordinates(start, end, progress) {
   const lat = start[1] + (end[1] - start[1]) * progress;
   const lng = start[0] + (end[0] - start[0]) * progress;
   return [lng, lat];
 }
 
+// Spread points evenly over a slice of the route geometry (1 point per second of duration),
+// by distance along it so the truck keeps a steady speed however the vertices are spaced
+function interpolateLeg(legCoordinates, durationSeconds) {
+  const totalPoints = Math.max(Math.ceil(durationSeconds), legCoordinates.length);
+  if (legCoordinates.length < 2) {
+    return legCoordinates.slice();
+  }
 
-function processRouteForMovement(routeData) {
-  const movementPoints = [];
-  const routeCoordinates = routeData.features[0].geometry.coordinates;
-  const steps = routeData.features[0].properties.segments[0].steps;
-  
-  // Calculate total points needed based on route duration (1 point per second)
-  const totalDurationSeconds = Math.ceil(routeData.features[0].properties.summary.duration);
-  const totalPoints = Math.max(totalDurationSeconds, routeCoordinates.length);
-  
-  // Simple approach: distribute points evenly across route coordinates
+  const cumulativeDistances = calculateCumulativeDistances(legCoordinates);
+  const points = [];
   for (let i = 0; i < totalPoints; i++) {
-    const progress = i / (totalPoints - 1);
-    const coordIndex = Math.floor(progress * (routeCoordinates.length - 1));
-    const nextCoordIndex = Math.min(coordIndex + 1, routeCoordinates.length - 1);
-    
-    if (coordIndex === nextCoordIndex) {
-      movementPoints.push(routeCoordinates[coordIndex]);
-    } else {
-      const localProgress = (progress * (routeCoordinates.length - 1)) - coordIndex;
-      const interpolatedPoint = interpolateCoordinates(
-        routeCoordinates[coordIndex], 
-        routeCoordinates[nextCoordIndex], 
-        localProgress
-      );
-      movementPoints.push(interpolatedPoint);
+    const progress = totalPoints > 1 ? i / (totalPoints - 1) : 0;
+    points.push(interpolateAlongPolyline(legCoordinates, cumulativeDistances, progress));
+  }
+
+  return points;
+}
+
+// Position at a fraction of a polyline's length, measured along its coordinates
+function interpolateAlongPolyline(coordinates, cumulativeDistances, fraction) {
+  const targetDistance = cumulativeDistances[cumulativeDistances.length - 1] * fraction;
+
+  let index = 0;
+  while (index < coordinates.length - 2 && cumulativeDistances[index + 1] < targetDistance) {
+    index++;
+  }
+
+  const sectionLength = cumulativeDistances[index + 1] - cumulativeDistances[index];
+  const sectionProgress = sectionLength > 0 ? (targetDistance - cumulativeDistances[index]) / sectionLength : 0;
+  return interpolateCoordinates(coordinates[index], coordinates[index + 1], Math.min(1, sectionProgress));
+}
+
+/**
+ * Time a leg by its ORS steps: each step takes its own duration, and positions
+ * inside a step are spread by distance along the step's polyline
+ * @param {Array} routeCoordinates - Full route geometry
+ * @param {Array} steps - ORS steps of the leg (way_points index the full geometry)
+ * @param {Number} startTime - Simulated seconds elapsed before the leg starts
+ * @returns {Object} points (1 per simulated second), guidance steps (startIndex into points) and the leg's endTime
+ */
+function interpolateLegBySteps(routeCoordinates, steps, startTime) {
+  const points = [];
+  const guidanceSteps = [];
+  let stepStartTime = startTime;
+  let nextSecond = Math.ceil(startTime);
+
+  steps.forEach(step => {
+    const [fromIndex, toIndex] = step.way_points;
+    const duration = step.duration || 0;
+    const stepEndTime = stepStartTime + duration;
+
+    guidanceSteps.push({
+      instruction: step.instruction,
+      name: step.name && step.name !== '-' ? step.name : '',
+      type: step.type,
+      distance: step.distance,
+      startIndex: points.length
+    });
+
+    if (toIndex > fromIndex && duration > 0) {
+      const stepCoordinates = routeCoordinates.slice(fromIndex, toIndex + 1);
+      const cumulativeDistances = calculateCumulativeDistances(stepCoordinates);
+
+      while (nextSecond < stepEndTime) {
+        const fraction = (nextSecond - stepStartTime) / duration;
+        points.push(interpolateAlongPolyline(stepCoordinates, cumulativeDistances, fraction));
+        nextSecond++;
+      }
+    }
+
+    stepStartTime = stepEndTime;
+  });
+
+  return { points, guidanceSteps, endTime: stepStartTime };
+}
+
+/**
+ * Build movement points for every leg of a route
+ * @param {Object} routeData - ORS GeoJSON response or stored Route document
+ * @returns {Object} movementPoints, legStartIndices (first movement point of each leg)
+ *   and guidanceSteps (ORS steps with the movement point index where each one starts)
+ */
+function processRouteLegsForMovement(routeData) {
+  const feature = routeData.features[0];
+  const routeCoordinates = feature.geometry.coordinates;
+  const segments = feature.properties.segments || [];
+  const wayPoints = feature.properties.way_points || [];
+
+  // Without per-leg way points treat the whole route as a single leg
+  if (segments.length === 0 || wayPoints.length !== segments.length + 1) {
+    return {
+      movementPoints: interpolateLeg(routeCoordinates, feature.properties.summary.duration),
+      legStartIndices: [0],
+      guidanceSteps: []
+    };
+  }
+
+  const movementPoints = [];
+  const legStartIndices = [];
+  const guidanceSteps = [];
+  let elapsedTime = 0;
+
+  segments.forEach((segment, legIndex) => {
+    legStartIndices.push(movementPoints.length);
+
+    if (segment.steps && segment.steps.length > 0) {
+      const legResult = interpolateLegBySteps(routeCoordinates, segment.steps, elapsedTime);
+      const { points, endTime } = legResult;
+      guidanceSteps.push(...legResult.guidanceSteps.map(step => ({
+        ...step,
+        startIndex: step.startIndex + movementPoints.length
+      })));
+      movementPoints.push(...points);
+      elapsedTime = endTime;
+      return;
     }
+
+    // No step timing stored: spread the leg evenly over its duration
+    const legCoordinates = routeCoordinates.slice(wayPoints[legIndex], wayPoints[legIndex + 1] + 1);
+    const legPoints = interpolateLeg(legCoordinates, segment.duration);
+    // Consecutive legs share their boundary coordinate
+    movementPoints.push(...(legIndex > 0 ? legPoints.slice(1) : legPoints));
+    elapsedTime += segment.duration;
+  });
+
+  // Always finish exactly on the destination
+  const destination = routeCoordinates[routeCoordinates.length - 1];
+  const lastPoint = movementPoints[movementPoints.length - 1];
+  if (!lastPoint || lastPoint[0] !== destination[0] || lastPoint[1] !== destination[1]) {
+    movementPoints.push(destination);
   }
-  
-  return movementPoints;
+
+  return { movementPoints, legStartIndices, guidanceSteps };
+}
+
+function processRouteForMovement(routeData) {
+  return processRouteLegsForMovement(routeData).movementPoints;
+}
+
+// Leg the truck is on for a given movement point index
+function findLegIndex(legStartIndices, currentIndex) {
+  let legIndex = 0;
+  for (let i = 0; i < legStartIndices.length; i++) {
+    if (legStartIndices[i] <= currentIndex) {
+      legIndex = i;
+    }
+  }
+  return legIndex;
+}
+
+/**
+ * Turn-by-turn guidance for the truck's position
+ * @param {Array} guidanceSteps - Steps from processRouteLegsForMovement
+ * @param {Array} cumulativeDistancesKm - Distance along the movement points
+ * @param {Number} currentIndex - Current movement point index
+ * @returns {Object|null} Upcoming instruction, distance to it in meters and street names
+ */
+function getGuidance(guidanceSteps, cumulativeDistancesKm, currentIndex) {
+  if (!guidanceSteps || guidanceSteps.length === 0) {
+    return null;
+  }
+
+  let currentStepIndex = 0;
+  for (let i = 0; i < guidanceSteps.length; i++) {
+    if (guidanceSteps[i].startIndex <= currentIndex) {
+      currentStepIndex = i;
+    }
+  }
+
+  const currentStep = guidanceSteps[currentStepIndex];
+  const nextStep = guidanceSteps[currentStepIndex + 1];
+  const upcomingStep = nextStep || currentStep;
+  const lastIndex = cumulativeDistancesKm.length - 1;
+  const fromIndex = Math.min(currentIndex, lastIndex);
+  const maneuverIndex = nextStep ? Math.min(nextStep.startIndex, lastIndex) : lastIndex;
+
+  return {
+    instruction: upcomingStep.instruction,
+    maneuverType: upcomingStep.type,
+    distanceToManeuver: Math.max(0, Math.round((cumulativeDistancesKm[maneuverIndex] - cumulativeDistancesKm[fromIndex]) * 1000)),
+    streetName: currentStep.name,
+    nextStreetName: nextStep ? nextStep.name : '',
+    stepIndex: currentStepIndex,
+    totalSteps: guidanceSteps.length
+  };
 }
 
-module.exports = { interpolateCoordinates, processRouteForMovement };
+module.exports = {
+  interpolateCoordinates,
+  interpolateAlongPolyline,
+  processRouteForMovement,
+  processRouteLegsForMovement,
+  findLegIndex,
+  getGuidance
+};
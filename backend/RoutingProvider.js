@@ -0,0 +1,201 @@
+const axios = require('axios');
+const { calculateDistance } = require('./RouteChargingLogic');
+require('dotenv').config();
+
+// ORS step types used by the local router
+const STEP_TYPE_STRAIGHT = 6;
+const STEP_TYPE_GOAL = 10;
+const STEP_TYPE_DEPART = 11;
+
+// ORS directions profiles a fleet truck may be routed with
+const ROUTING_PROFILES = ['driving-hgv', 'driving-car'];
+
+/**
+ * OpenRouteService provider
+ * @returns {Object} Provider with name, isConfigured() and getDirections(coordinates, options)
+ */
+function createOrsProvider() {
+  return {
+    name: 'ors',
+
+    isConfigured() {
+      return Boolean(process.env.ORS_API);
+    },
+
+    async getDirections(coordinates, { profile = 'driving-car' } = {}) {
+      // The profile becomes part of the URL, so only known ones are sent
+      if (!ROUTING_PROFILES.includes(profile)) {
+        throw new Error(`Unknown routing profile "${profile}"`);
+      }
+      const response = await axios.post(
+        `https://api.openrouteservice.org/v2/directions/${profile}/geojson`,
+        { coordinates },
+        { headers: { Authorization: process.env.ORS_API } }
+      );
+      return response.data;
+    }
+  };
+}
+
+/**
+ * Point at a fraction of the great-circle arc between two coordinates
+ * @param {Array} start - [lng, lat]
+ * @param {Array} end - [lng, lat]
+ * @param {Number} fraction - 0 at start, 1 at end
+ * @returns {Array} [lng, lat]
+ */
+function interpolateGreatCircle(start, end, fraction) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const toDeg = radians => radians * 180 / Math.PI;
+
+  const lat1 = toRad(start[1]), lng1 = toRad(start[0]);
+  const lat2 = toRad(end[1]), lng2 = toRad(end[0]);
+  const angularDistance = calculateDistance(start, end) / 6371;
+
+  if (angularDistance === 0) {
+    return [start[0], start[1]];
+  }
+
+  const a = Math.sin((1 - fraction) * angularDistance) / Math.sin(angularDistance);
+  const b = Math.sin(fraction * angularDistance) / Math.sin(angularDistance);
+  const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+  const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+  return [toDeg(Math.atan2(y, x)), toDeg(Math.atan2(z, Math.sqrt(x * x + y * y)))];
+}
+
+/**
+ * Offline provider: great-circle legs between waypoints with synthetic steps,
+ * returned in the same GeoJSON shape as ORS so Route can store it unchanged
+ * @param {Object} options - speedKmh (average driving speed), stepLengthKm, pointSpacingKm
+ * @returns {Object} Provider with name, isConfigured() and getDirections(coordinates, options)
+ */
+function createLocalProvider({ speedKmh = 60, stepLengthKm = 5, pointSpacingKm = 0.5 } = {}) {
+  return {
+    name: 'local',
+
+    isConfigured() {
+      return true;
+    },
+
+    async getDirections(coordinates, { profile = 'driving-car' } = {}) {
+      const geometry = [coordinates[0]];
+      const wayPoints = [0];
+      const segments = [];
+
+      for (let leg = 0; leg < coordinates.length - 1; leg++) {
+        const start = coordinates[leg];
+        const end = coordinates[leg + 1];
+        const legDistanceKm = calculateDistance(start, end);
+        const stepCount = Math.max(1, Math.ceil(legDistanceKm / stepLengthKm));
+        const steps = [];
+
+        for (let step = 0; step < stepCount; step++) {
+          const fromIndex = geometry.length - 1;
+          const stepStart = step / stepCount;
+          const stepEnd = (step + 1) / stepCount;
+          const stepDistanceKm = legDistanceKm / stepCount;
+          const pointCount = Math.max(1, Math.ceil(stepDistanceKm / pointSpacingKm));
+
+          for (let point = 1; point <= pointCount; point++) {
+            const fraction = stepStart + (stepEnd - stepStart) * (point / pointCount);
+            geometry.push(interpolateGreatCircle(start, end, fraction));
+          }
+
+          steps.push({
+            distance: stepDistanceKm * 1000,
+            duration: (stepDistanceKm / speedKmh) * 3600,
+            type: step === 0 ? STEP_TYPE_DEPART : STEP_TYPE_STRAIGHT,
+            instruction: step === 0 ? 'Head towards the next stop' : 'Continue straight',
+            name: '-',
+            way_points: [fromIndex, geometry.length - 1]
+          });
+        }
+
+        const arrivalIndex = geometry.length - 1;
+        steps.push({
+          distance: 0,
+          duration: 0,
+          type: STEP_TYPE_GOAL,
+          instruction: 'Arrive at your destination',
+          name: '-',
+          way_points: [arrivalIndex, arrivalIndex]
+        });
+
+        wayPoints.push(arrivalIndex);
+        segments.push({
+          distance: legDistanceKm * 1000,
+          duration: (legDistanceKm / speedKmh) * 3600,
+          steps
+        });
+      }
+
+      const lngs = geometry.map(coord => coord[0]);
+      const lats = geometry.map(coord => coord[1]);
+      const bbox = [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+
+      return {
+        type: 'FeatureCollection',
+        bbox,
+        features: [{
+          bbox,
+          type: 'Feature',
+          properties: {
+            segments,
+            way_points: wayPoints,
+            summary: {
+              distance: segments.reduce((total, segment) => total + segment.distance, 0),
+              duration: segments.reduce((total, segment) => total + segment.duration, 0)
+            }
+          },
+          geometry: {
+            coordinates: geometry,
+            type: 'LineString'
+          }
+        }],
+        metadata: {
+          attribution: 'Fleet_Map local router',
+          service: 'routing',
+          timestamp: Date.now(),
+          query: {
+            coordinates,
+            profile,
+            format: 'geojson'
+          },
+          engine: {
+            version: 'local'
+          }
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Routing provider chosen by ROUTING_PROVIDER ('ors' or 'local').
+ * Without that setting ORS is used when ORS_API is present, the local router otherwise.
+ * @returns {Object} Routing provider
+ */
+function getRoutingProvider() {
+  const configured = process.env.ROUTING_PROVIDER || (process.env.ORS_API ? 'ors' : 'local');
+
+  switch (configured) {
+    case 'ors':
+      return createOrsProvider();
+    case 'local':
+      return createLocalProvider({
+        speedKmh: parseFloat(process.env.LOCAL_ROUTER_SPEED_KMH) || 60
+      });
+    default:
+      throw new Error(`Unknown routing provider "${configured}"`);
+  }
+}
+
+module.exports = {
+  ROUTING_PROFILES,
+  createOrsProvider,
+  createLocalProvider,
+  getRoutingProvider,
+  interpolateGreatCircle
+};
@@ -0,0 +1,100 @@
+const ChargingStation = require('./ChargingStation');
+
+// Stations are returned one by one from this zoom level, or whenever the viewport holds few enough
+const CLUSTER_MAX_ZOOM = 13;
+const MAX_UNCLUSTERED_STATIONS = 200;
+// Grid cell size on screen; 256 px is one map tile
+const CLUSTER_CELL_PX = 64;
+const TILE_SIZE_PX = 256;
+
+/**
+ * Filter for points inside a longitude/latitude box, the same shape as a map viewport.
+ * A box whose west edge is east of its east edge crosses the antimeridian
+ * @param {Object} box - south, west, north, east in degrees
+ * @returns {Object} Mongo filter on location.coordinates
+ */
+function buildBoundingBoxFilter({ south, west, north, east }) {
+  const latitude = { 'location.coordinates.1': { $gte: south, $lte: north } };
+
+  if (west <= east) {
+    return { ...latitude, 'location.coordinates.0': { $gte: west, $lte: east } };
+  }
+  return {
+    ...latitude,
+    $or: [
+      { 'location.coordinates.0': { $gte: west } },
+      { 'location.coordinates.0': { $lte: east } }
+    ]
+  };
+}
+
+/**
+ * Grid cell size in degrees at a zoom level, so a cell covers about CLUSTER_CELL_PX on screen
+ * @param {Number} zoom - Web map zoom level
+ * @param {Number} latitude - Latitude of the viewport centre
+ * @returns {Object} lng and lat cell size in degrees
+ */
+function getClusterCellSize(zoom, latitude) {
+  const lng = (360 / Math.pow(2, zoom)) * (CLUSTER_CELL_PX / TILE_SIZE_PX);
+  return { lng, lat: lng * Math.cos(latitude * Math.PI / 180) };
+}
+
+/**
+ * Stations in a map viewport, grouped into grid clusters when there are too many to draw
+ * @param {Object} box - Viewport south, west, north, east
+ * @param {Number} zoom - Map zoom level
+ * @param {Object} filter - Extra station filter (operational state, connectors)
+ * @returns {Object} clustered, clusters (coordinates, count, maxPowerKw, operationalCount, bounds) and stations
+ */
+async function getStationsInView(box, zoom, filter = {}) {
+  const query = { ...filter, ...buildBoundingBoxFilter(box) };
+  const total = await ChargingStation.countDocuments(query);
+
+  if (zoom >= CLUSTER_MAX_ZOOM || total <= MAX_UNCLUSTERED_STATIONS) {
+    const stations = await ChargingStation.find(query).limit(MAX_UNCLUSTERED_STATIONS * 2).lean();
+    return { clustered: false, total, clusters: [], stations };
+  }
+
+  const cell = getClusterCellSize(zoom, (box.south + box.north) / 2);
+  const groups = await ChargingStation.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', 0] }, cell.lng] } },
+          y: { $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', 1] }, cell.lat] } }
+        },
+        count: { $sum: 1 },
+        lng: { $avg: { $arrayElemAt: ['$location.coordinates', 0] } },
+        lat: { $avg: { $arrayElemAt: ['$location.coordinates', 1] } },
+        west: { $min: { $arrayElemAt: ['$location.coordinates', 0] } },
+        east: { $max: { $arrayElemAt: ['$location.coordinates', 0] } },
+        south: { $min: { $arrayElemAt: ['$location.coordinates', 1] } },
+        north: { $max: { $arrayElemAt: ['$location.coordinates', 1] } },
+        maxPowerKw: { $max: '$powerKw' },
+        operationalCount: { $sum: { $cond: ['$isOperational', 1, 0] } },
+        station: { $first: '$$ROOT' }
+      }
+    }
+  ]);
+
+  // A cell holding a single station is sent as that station
+  const stations = groups.filter(group => group.count === 1).map(group => group.station);
+  const clusters = groups.filter(group => group.count > 1).map(group => ({
+    id: `${group._id.x}:${group._id.y}`,
+    coordinates: [group.lng, group.lat],
+    count: group.count,
+    maxPowerKw: group.maxPowerKw,
+    operationalCount: group.operationalCount,
+    bounds: { south: group.south, west: group.west, north: group.north, east: group.east }
+  }));
+
+  return { clustered: true, total, clusters, stations };
+}
+
+module.exports = {
+  CLUSTER_MAX_ZOOM,
+  buildBoundingBoxFilter,
+  getClusterCellSize,
+  getStationsInView
+};
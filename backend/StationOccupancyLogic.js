@@ -0,0 +1,158 @@
+const ChargingSession = require('./ChargingSession');
+const StationQueue = require('./StationQueue');
+const { getCompatibleConnectors } = require('./ChargingCompatibilityLogic');
+const { estimateChargeMinutes } = require('./BatteryLogic');
+
+// Port group of stations that do not list ports per connector
+const ANY_CONNECTOR = 'Any';
+// Expected charge time of a truck still waiting in the queue
+const DEFAULT_QUEUE_CHARGE_MINUTES = 30;
+
+/**
+ * Port groups of a station
+ * @param {Object} station - ChargingStation (connectorPorts, ports)
+ * @returns {Array} { connectorType, count } per group
+ */
+function getStationPorts(station) {
+  if (station.connectorPorts && station.connectorPorts.length > 0) {
+    return station.connectorPorts.map(port => ({ connectorType: port.connectorType, count: port.count || 1 }));
+  }
+  return [{ connectorType: ANY_CONNECTOR, count: station.ports || 1 }];
+}
+
+
+// Minutes until an active session reaches its target SoC
+function estimateRemainingMinutes(session) {
+  const soc = typeof session.endSoc === 'number' ? session.endSoc : session.startSoc;
+  if (!session.batterySize_kWh || !session.maxPowerKw) {
+    return DEFAULT_QUEUE_CHARGE_MINUTES;
+  }
+  return estimateChargeMinutes(soc, session.targetSoc, session.batterySize_kWh, session.maxPowerKw);
+}
+
+// A session or queued truck can use a port group when the group offers one of its connectors
+function usesPortGroup(connectorTypes, group) {
+  return group.connectorType === ANY_CONNECTOR || !connectorTypes || connectorTypes.length === 0 ||
+    connectorTypes.includes(group.connectorType);
+}
+
+/**
+ * Number of ports at a station
+ * @param {Object} station - ChargingStation
+ * @param {Array|null} connectors - Only count ports with these connectors (null for all)
+ * @returns {Number} Ports
+ */
+function getTotalPorts(station, connectors = null) {
+  return getStationPorts(station)
+    .filter(group => !connectors || usesPortGroup(connectors, group))
+    .reduce((total, port) => total + port.count, 0);
+}
+
+// Whether two trucks could want the same port, given the connectors each can use
+function sharesPortGroup(station, connectorTypes, otherConnectorTypes) {
+  return getStationPorts(station).some(group =>
+    usesPortGroup(connectorTypes, group) && usesPortGroup(otherConnectorTypes, group)
+  );
+}
+
+/**
+ * Occupancy of one station from its running sessions and waiting queue
+ * @param {Object} station - ChargingStation
+ * @param {Array} sessions - Active ChargingSessions at the station
+ * @param {Array} queueEntries - Waiting StationQueue entries, oldest first
+ * @param {Array|null} connectors - Only count ports with these connectors (null for all)
+ * @returns {Object} totalPorts, busyPorts, freePorts, queueLength, estimatedWaitMinutes and ports
+ */
+function summarizeOccupancy(station, sessions, queueEntries, connectors = null) {
+  const groups = getStationPorts(station).filter(group => !connectors || usesPortGroup(connectors, group));
+  const remainingSessions = [...sessions];
+  const portFreeTimes = [];
+
+  // Put every running session on a port of its connector, counting down to when it frees up
+  const ports = groups.map(group => {
+    const onGroup = remainingSessions.filter(session => usesPortGroup(session.connectorType ? [session.connectorType] : null, group))
+      .slice(0, group.count);
+    onGroup.forEach(session => remainingSessions.splice(remainingSessions.indexOf(session), 1));
+
+    onGroup.forEach(session => portFreeTimes.push(estimateRemainingMinutes(session)));
+    for (let i = onGroup.length; i < group.count; i++) {
+      portFreeTimes.push(0);
+    }
+
+    return { connectorType: group.connectorType, count: group.count, busy: onGroup.length };
+  });
+
+  // Trucks already waiting take the earliest free port in turn
+  const waiting = queueEntries.filter(entry => groups.some(group => usesPortGroup(entry.connectorTypes, group)));
+  waiting.forEach(() => {
+    portFreeTimes.sort((a, b) => a - b);
+    portFreeTimes[0] += DEFAULT_QUEUE_CHARGE_MINUTES;
+  });
+
+  const totalPorts = ports.reduce((total, port) => total + port.count, 0);
+  const busyPorts = ports.reduce((total, port) => total + port.busy, 0);
+
+  return {
+    totalPorts,
+    busyPorts,
+    freePorts: totalPorts - busyPorts,
+    queueLength: waiting.length,
+    estimatedWaitMinutes: portFreeTimes.length > 0 ? Math.round(Math.min(...portFreeTimes)) : null,
+    ports
+  };
+}
+
+/**
+ * Live occupancy for several stations
+ * @param {Array} stations - ChargingStations
+ * @param {Object|null} truck - Count only the ports this truck can plug into (optional)
+ * @returns {Map} stationId -> occupancy (see summarizeOccupancy)
+ */
+async function getStationsOccupancy(stations, truck = null) {
+  const stationIds = stations.map(station => station.stationId);
+  const [sessions, queueEntries] = await Promise.all([
+    ChargingSession.find({ status: 'active', stationId: { $in: stationIds } }),
+    StationQueue.find({ status: 'waiting', stationId: { $in: stationIds } }).sort({ joinedAt: 1 })
+  ]);
+
+  const occupancy = new Map();
+  stations.forEach(station => {
+    const connectors = truck ? getCompatibleConnectors(station, truck) : null;
+    occupancy.set(station.stationId, summarizeOccupancy(
+      station,
+      sessions.filter(session => session.stationId === station.stationId),
+      queueEntries.filter(entry => entry.stationId === station.stationId),
+      connectors
+    ));
+  });
+
+  return occupancy;
+}
+
+/**
+ * Free ports at a station that offer one of the given connectors
+ * @param {Object} station - ChargingStation
+ * @param {Array} connectors - Connector types the truck can use
+ * @returns {Array} { connectorType, free } for groups with a free port
+ */
+async function getFreePorts(station, connectors) {
+  const sessions = await ChargingSession.find({ status: 'active', stationId: station.stationId });
+  const { ports } = summarizeOccupancy(station, sessions, [], connectors);
+
+  return ports
+    .filter(port => port.busy < port.count)
+    .map(port => ({
+      // Stations without per-connector ports plug in with the truck's first matching connector
+      connectorType: port.connectorType === ANY_CONNECTOR ? connectors[0] : port.connectorType,
+      free: port.count - port.busy
+    }));
+}
+
+module.exports = {
+  getStationPorts,
+  getTotalPorts,
+  sharesPortGroup,
+  summarizeOccupancy,
+  getStationsOccupancy,
+  getFreePorts
+};
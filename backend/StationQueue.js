@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A truck waiting for a free port at a charging station, served first come first served
+const StationQueueSchema = new mongoose.Schema({
+  stationId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // Connectors the truck can use at this station
+  connectorTypes: [String],
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'served', 'left'],
+    default: 'waiting'
+  },
+  leftAt: Date
+}, { timestamps: true });
+
+StationQueueSchema.index({ stationId: 1, status: 1, joinedAt: 1 });
+
+module.exports = mongoose.model('StationQueue', StationQueueSchema);
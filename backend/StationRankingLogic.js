@@ -0,0 +1,159 @@
+const FleetSettings = require('./FleetSettings');
+const { calculateSocAfterDistance } = require('./BatteryLogic');
+const { getEffectiveChargingPower } = require('./ChargingCompatibilityLogic');
+const { getUsableCapacityKWh } = require('./BatteryPhysicsLogic');
+
+const DEFAULT_RANKING_WEIGHTS = {
+  detourTime: 1,
+  chargeTime: 1,
+  waitTime: 1,
+  price: 1,
+  reliability: 1,
+  operator: 0.5
+};
+
+// Average speed off the route, to the charger and back
+const DETOUR_SPEED_KMH = 40;
+// Trucks charge up to this SoC before carrying on
+const CHARGE_TARGET_SOC = 80;
+// Energy assumed when the truck's battery is unknown
+const DEFAULT_CHARGE_ENERGY_KWH = 50;
+// Stations listed without a power rating are treated as slow AC
+const MIN_CHARGING_POWER_KW = 3.7;
+
+/**
+ * Ranking weights and preferred operators for a fleet, falling back to the defaults
+ * @param {String} fleetId - Fleet.fleetId of the truck
+ * @returns {Object} weights and preferredOperators
+ */
+async function getStationRankingSettings(fleetId) {
+  const settings = fleetId ? await FleetSettings.findOne({ fleetId: fleetId }).lean() : null;
+
+  return {
+    weights: { ...DEFAULT_RANKING_WEIGHTS, ...(settings?.stationRankingWeights || {}) },
+    preferredOperators: settings?.preferredOperators || []
+  };
+}
+
+/**
+ * Time and money a stop at a station would cost the truck
+ * @param {Object} station - Station with distanceFromRouteKm, powerKw, connectorTypes and cost
+ * @param {Object|null} truck - Fleet truck sub-document, or null if unknown
+ * @param {Number} distanceAlongRouteKm - Distance driven before leaving the route for the station
+ * @returns {Object} detourMinutes, arrivalSoc, chargeEnergyKWh, chargePowerKw, chargeMinutes, estimatedCost and currency
+ */
+function estimateStationStop(station, truck, distanceAlongRouteKm) {
+  const detourKm = 2 * (station.distanceFromRouteKm || 0);
+  const detourMinutes = (detourKm / DETOUR_SPEED_KMH) * 60;
+
+  let arrivalSoc = null;
+  let chargeEnergyKWh = DEFAULT_CHARGE_ENERGY_KWH;
+  if (truck) {
+    arrivalSoc = calculateSocAfterDistance(truck, distanceAlongRouteKm + detourKm / 2);
+    chargeEnergyKWh = Math.max(0, CHARGE_TARGET_SOC - arrivalSoc) / 100 * getUsableCapacityKWh(truck);
+  }
+
+  // Charging runs at the lower of the station's and the truck's power
+  const powerKw = Math.max(getEffectiveChargingPower(station, truck), MIN_CHARGING_POWER_KW);
+  const perKwh = station.cost?.perKwh;
+
+  return {
+    detourMinutes: Math.round(detourMinutes * 10) / 10,
+    arrivalSoc: arrivalSoc,
+    chargeEnergyKWh: Math.round(chargeEnergyKWh * 10) / 10,
+    chargePowerKw: powerKw,
+    chargeMinutes: Math.round((chargeEnergyKWh / powerKw) * 60 * 10) / 10,
+    estimatedCost: typeof perKwh === 'number' ? Math.round(chargeEnergyKWh * perKwh * 100) / 100 : null,
+    currency: station.cost?.currency || null
+  };
+}
+
+// Scale values to 0..1 where the lowest value scores 1; unknown values stay null
+function normalizeLowerIsBetter(values) {
+  const known = values.filter(value => value !== null);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+
+  return values.map(value => {
+    if (value === null) return null;
+    return max > min ? (max - value) / (max - min) : 1;
+  });
+}
+
+// Driver reports say more about a station today than its long-term rating
+function getReliability(station) {
+  if (typeof station.reliability?.score === 'number') {
+    return station.reliability.score / 100;
+  }
+  return typeof station.rating === 'number' ? station.rating / 5 : 0.5;
+}
+
+/**
+ * Order charging stations by a weighted score of detour time, charge time, queue wait,
+ * price, reliability (driver reports, else rating) and operator preference
+ * @param {Array} stations - Stations from findChargingStationsAlongRoute, with occupancy when known
+ * @param {Object|null} truck - Fleet truck sub-document, or null if unknown
+ * @param {Object} settings - weights and preferredOperators (see getStationRankingSettings)
+ * @returns {Array} Stations, best first, each with score (0-100) and scoreBreakdown
+ */
+function rankChargingStations(stations, truck, { weights = DEFAULT_RANKING_WEIGHTS, preferredOperators = [] } = {}) {
+  if (stations.length === 0) {
+    return [];
+  }
+
+  const stops = stations.map(station =>
+    estimateStationStop(station, truck, station.routePosition?.distanceAlongRouteKm || 0)
+  );
+
+  const detourScores = normalizeLowerIsBetter(stops.map(stop => stop.detourMinutes));
+  const chargeTimeScores = normalizeLowerIsBetter(stops.map(stop => stop.chargeMinutes));
+  const priceScores = normalizeLowerIsBetter(stops.map(stop => stop.estimatedCost));
+  const waitMinutes = stations.map(station => station.occupancy?.estimatedWaitMinutes ?? null);
+  const waitScores = normalizeLowerIsBetter(waitMinutes);
+
+  // Operator preference only counts once the fleet has named some operators
+  const useOperator = preferredOperators.length > 0;
+
+  const ranked = stations.map((station, i) => {
+    const components = {
+      detourTime: detourScores[i],
+      chargeTime: chargeTimeScores[i],
+      waitTime: waitScores[i],
+      // Unknown price or rating sits in the middle rather than winning or losing outright
+      price: priceScores[i] ?? 0.5,
+      reliability: getReliability(station),
+      operator: useOperator ? (preferredOperators.includes(station.operatorName) ? 1 : 0) : null
+    };
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    Object.entries(components).forEach(([key, value]) => {
+      if (value === null) return;
+      weightedSum += (weights[key] || 0) * value;
+      totalWeight += weights[key] || 0;
+    });
+
+    const score = totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 1000) / 10 : 0;
+
+    return {
+      ...station,
+      score: score,
+      scoreBreakdown: {
+        ...stops[i],
+        waitMinutes: waitMinutes[i],
+        components: components,
+        weights: weights
+      }
+    };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DEFAULT_RANKING_WEIGHTS,
+  CHARGE_TARGET_SOC,
+  getStationRankingSettings,
+  estimateStationStop,
+  rankChargingStations
+};
@@ -0,0 +1,136 @@
+const ChargingStation = require('./ChargingStation');
+const StationReport = require('./StationReport');
+require('dotenv').config();
+
+// A report counts half as much after this many hours
+const RELIABILITY_HALF_LIFE_HOURS = parseFloat(process.env.RELIABILITY_HALF_LIFE_HOURS) || 72;
+// Reports older than this no longer count at all
+const RELIABILITY_WINDOW_DAYS = 30;
+// Stations scoring below this are treated like non-operational ones
+const UNRELIABLE_SCORE = 45;
+// A new report from the same truck within this window replaces its previous one
+const REPORT_REPLACE_MINUTES = 10;
+
+// How much each report says the station can be used
+const REPORT_VALUES = {
+  working: 1,
+  occupied: 0.9, // works, just busy
+  blocked: 0.3, // e.g. bays taken by parked vehicles
+  broken: 0
+};
+
+// Before any reports a station is assumed to mostly work, worth this many fresh reports
+const PRIOR_VALUE = 0.8;
+const PRIOR_WEIGHT = 1;
+
+const PROBLEM_STATUSES = ['broken', 'blocked'];
+
+/**
+ * Decayed reliability of a station from its recent reports
+ * @param {Array} reports - StationReports (status, reportedAt)
+ * @param {Date} now - Time to score at
+ * @returns {Number} Score 0-100
+ */
+function calculateReliabilityScore(reports, now = new Date()) {
+  let weightedSum = PRIOR_VALUE * PRIOR_WEIGHT;
+  let totalWeight = PRIOR_WEIGHT;
+
+  reports.forEach(report => {
+    const ageHours = Math.max(0, now - new Date(report.reportedAt)) / 3600000;
+    const weight = Math.pow(0.5, ageHours / RELIABILITY_HALF_LIFE_HOURS);
+    weightedSum += weight * REPORT_VALUES[report.status];
+    totalWeight += weight;
+  });
+
+  return Math.round((weightedSum / totalWeight) * 100);
+}
+
+/**
+ * Recompute and store a station's reliability from reports inside the rolling window
+ * @param {String} stationId - Station to score
+ * @returns {Object} reliability sub-document as saved
+ */
+async function updateStationReliability(stationId) {
+  const now = new Date();
+  const reports = await StationReport.find({
+    stationId: stationId,
+    reportedAt: { $gte: new Date(now.getTime() - RELIABILITY_WINDOW_DAYS * 24 * 3600000) }
+  }).sort({ reportedAt: -1 }).lean();
+
+  // Without recent reports the station goes back to unscored
+  const reliability = reports.length > 0
+    ? {
+      score: calculateReliabilityScore(reports, now),
+      reportCount: reports.length,
+      lastReportStatus: reports[0].status,
+      lastReportAt: reports[0].reportedAt,
+      updatedAt: now
+    }
+    : undefined;
+
+  await ChargingStation.updateOne(
+    { stationId: stationId },
+    reliability ? { $set: { reliability } } : { $unset: { reliability: 1 } }
+  );
+  return reliability;
+}
+
+/**
+ * Store a driver's report and rescore the station
+ * @param {Object} station - ChargingStation
+ * @param {String} userId - Reporting truck's fleet document id
+ * @param {String} status - working, broken, occupied or blocked
+ * @param {String} note - Optional free text
+ * @returns {Object} report and the station's new reliability
+ */
+async function recordStationReport(station, userId, status, note) {
+  const now = new Date();
+
+  // Tapping twice, or correcting a report straight away, should not count double
+  const report = await StationReport.findOneAndUpdate(
+    {
+      stationId: station.stationId,
+      userId: userId,
+      reportedAt: { $gte: new Date(now.getTime() - REPORT_REPLACE_MINUTES * 60000) }
+    },
+    { stationName: station.name, status: status, note: note, reportedAt: now },
+    { upsert: true, new: true, runValidators: true, sort: { reportedAt: -1 } }
+  );
+
+  const reliability = await updateStationReliability(station.stationId);
+  return { report, reliability };
+}
+
+/**
+ * Let scores decay between reports: rescore every station that has one
+ * @returns {Number} Stations rescored
+ */
+async function refreshReliabilityScores() {
+  const stationIds = await ChargingStation.distinct('stationId', { 'reliability.score': { $exists: true } });
+  for (const stationId of stationIds) {
+    await updateStationReliability(stationId);
+  }
+  return stationIds.length;
+}
+
+/**
+ * Filter for stations a truck can be sent to: operational and not reported unreliable
+ * @returns {Object} Mongo filter
+ */
+function usableStationFilter() {
+  return {
+    isOperational: true,
+    'reliability.score': { $not: { $lt: UNRELIABLE_SCORE } }
+  };
+}
+
+module.exports = {
+  RELIABILITY_HALF_LIFE_HOURS,
+  UNRELIABLE_SCORE,
+  PROBLEM_STATUSES,
+  calculateReliabilityScore,
+  updateStationReliability,
+  recordStationReport,
+  refreshReliabilityScores,
+  usableStationFilter
+};
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A driver's report of what they found at a charging station
+const StationReportSchema = new mongoose.Schema({
+  stationId: {
+    type: String,
+    required: true
+  },
+  stationName: String,
+  // Fleet document id of the reporting truck
+  userId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['working', 'broken', 'occupied', 'blocked'],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+StationReportSchema.index({ stationId: 1, reportedAt: -1 });
+StationReportSchema.index({ status: 1, reportedAt: -1 });
+
+module.exports = mongoose.model('StationReport', StationReportSchema);
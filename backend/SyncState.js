@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Bookkeeping for external data syncs, one document per source and scope (e.g. 'ocm:ES')
+const SyncStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastSyncAt: Date,
+  lastFullSyncAt: Date,
+  lastResult: {
+    fetched: Number,
+    inserted: Number,
+    updated: Number,
+    skipped: Number,
+    removed: Number,
+    requests: Number
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('SyncState', SyncStateSchema);
@@ -0,0 +1,456 @@
+const { performance } = require('perf_hooks');
+const Fleet = require('./Fleet');
+const ChargingSession = require('./ChargingSession');
+const { startChargingSession, applyChargingStep, finishChargingSession, processStationQueues } = require('./ChargingSessionLogic');
+const { getUsableCapacityKWh, stepBatteryState } = require('./BatteryPhysicsLogic');
+const { updateRollingConsumption, estimateRangeKm } = require('./BatteryLogic');
+const { calculateDistance } = require('./RouteChargingLogic');
+const {
+  QOS_TELEMETRY, QOS_STATUS, batteryTopic, locationTopic, statusTopic,
+  buildBatteryPayload, buildLocationPayload, buildStatusPayload
+} = require('./FleetTopics');
+require('dotenv').config();
+
+// One tick is one simulated second
+const TICK_MS = 1000;
+// A late scheduler runs at most this many ticks back to back; older ones are dropped
+const MAX_CATCH_UP_TICKS = 5;
+const FLUSH_INTERVAL_MS = parseInt(process.env.TELEMETRY_FLUSH_INTERVAL_MS, 10) || 5000;
+// Picks up changes made by the navigation server, the API and station queues
+const REFRESH_INTERVAL_MS = parseInt(process.env.TELEMETRY_REFRESH_INTERVAL_MS, 10) || 5000;
+const BULK_CHUNK_SIZE = 500;
+
+// Truck fields the engine computes; everything else is owned by other writers and read on refresh
+const ENGINE_FIELDS = [
+  'batteryTemperature_C', 'stateOfHealth_percent', 'cycleCount',
+  'energyThroughput_kWh', 'availableEnergy_kWh', 'batteryPower_kW', 'range_km', 'avgConsumption_kWhPerKm'
+];
+
+const vehicles = new Map(); // userId -> lean Fleet document with runtime fields
+const sessions = new Map(); // userId -> active ChargingSession document
+const dirtyVehicles = new Set();
+const dirtySessions = new Set();
+const pendingSessionStarts = new Set();
+// userId -> status and location last sent, so those topics only go out on change
+const lastPublished = new Map();
+
+let publish = () => {};
+let tickTimer = null;
+let flushTimer = null;
+let refreshTimer = null;
+let nextTickAt = 0;
+let flushInFlight = null;
+let refreshInFlight = null;
+
+const metrics = {
+  ticksRun: 0,
+  droppedTicks: 0,
+  backlogTicks: 0,
+  lastTickMs: 0,
+  avgTickMs: 0,
+  maxTickMs: 0,
+  published: 0,
+  vehicleTickFailures: 0,
+  flushes: 0,
+  flushFailures: 0,
+  lastFlushMs: 0,
+  lastFlushCount: 0,
+  lastFlushAt: null,
+  lastRefreshMs: 0,
+  lastRefreshAt: null
+};
+
+const round4 = value => parseFloat(value.toFixed(4));
+
+// Status changes made by the engine go to Mongo straight away, unless someone changed it meanwhile
+function persistStatusChange(vehicle, fromStatus, toStatus) {
+  vehicle.truck.chargingStatus = toStatus;
+  Fleet.updateOne(
+    { _id: vehicle._id, 'truck.chargingStatus': fromStatus },
+    { $set: { 'truck.chargingStatus': toStatus, 'truck.batterySOC_percent': vehicle.truck.batterySOC_percent } }
+  ).catch(error => console.error(`Error setting ${vehicle._id} to ${toStatus}:`, error));
+}
+
+function closeSession(userId, session, reason, endSoc) {
+  sessions.delete(userId);
+  dirtySessions.delete(session);
+  finishChargingSession(session, reason, endSoc)
+    .catch(error => console.error(`Error closing charging session ${session._id}:`, error));
+}
+
+// Opening a session needs the database, so it runs beside the tick rather than inside it
+function requestSessionStart(vehicle) {
+  const userId = vehicle._id.toString();
+  if (pendingSessionStarts.has(userId)) return;
+
+  pendingSessionStarts.add(userId);
+  startChargingSession(Fleet.hydrate(vehicle))
+    .then(({ session, error }) => {
+      if (session) {
+        sessions.set(userId, session);
+      } else if (vehicle.truck.chargingStatus === 'charging') {
+        console.log(`Cannot charge ${vehicle.truck.model}: ${error}`);
+        persistStatusChange(vehicle, 'charging', 'idle');
+      }
+    })
+    .catch(error => console.error(`Error starting charging session for ${userId}:`, error))
+    .finally(() => pendingSessionStarts.delete(userId));
+}
+
+// Simulate one second of one truck
+function tickVehicle(vehicle) {
+  const userId = vehicle._id.toString();
+  const { truck } = vehicle;
+  let session = sessions.get(userId);
+  let powerKw = 0;
+
+  // A session only runs while the truck is set to charging
+  if (session && truck.chargingStatus !== 'charging') {
+    closeSession(userId, session, 'unplugged');
+    session = null;
+  }
+
+  if (truck.chargingStatus === 'charging') {
+    if (!session) {
+      requestSessionStart(vehicle);
+    } else {
+      const newSoc = applyChargingStep(session, truck, 1);
+      truck.batterySOC_percent = round4(newSoc);
+      vehicle.socDirty = true;
+      // Negative: power flows into the battery
+      powerKw = -session.currentPowerKw;
+
+      if (newSoc >= session.targetSoc) {
+        closeSession(userId, session, 'target-reached', newSoc);
+        persistStatusChange(vehicle, 'charging', 'idle');
+      } else {
+        dirtySessions.add(session);
+      }
+    }
+  } else if (truck.chargingStatus === 'discharging') {
+    // SoC is drained by the navigation server; its power draw is measured on refresh
+    powerKw = vehicle.dischargePowerKw || 0;
+    if (truck.batterySOC_percent <= 0) {
+      truck.batterySOC_percent = 0;
+      persistStatusChange(vehicle, 'discharging', 'idle');
+    }
+  }
+
+  // Temperature, ageing and available energy follow from this second's power
+  stepBatteryState(truck, powerKw, 1);
+  truck.range_km = estimateRangeKm(truck);
+  dirtyVehicles.add(userId);
+
+  publishVehicle(userId, vehicle);
+}
+
+// Latest state is retained so a new subscriber gets it without waiting for the next change
+function publishVehicle(userId, vehicle) {
+  const { truck, location } = vehicle;
+  const sent = lastPublished.get(userId) || {};
+
+  publish(batteryTopic(userId), buildBatteryPayload(userId, truck), { qos: QOS_TELEMETRY, retain: true });
+  metrics.published++;
+
+  const locationKey = location?.coordinates?.join(',');
+  if (locationKey && locationKey !== sent.location) {
+    publish(locationTopic(userId), buildLocationPayload(userId, location), { qos: QOS_TELEMETRY, retain: true });
+    sent.location = locationKey;
+    metrics.published++;
+  }
+
+  if (truck.chargingStatus !== sent.status) {
+    publish(statusTopic(userId), buildStatusPayload(userId, truck), { qos: QOS_STATUS, retain: true });
+    sent.status = truck.chargingStatus;
+    metrics.published++;
+  }
+
+  lastPublished.set(userId, sent);
+}
+
+// An empty retained message removes a deleted truck's state from the broker
+function clearRetained(userId) {
+  [batteryTopic(userId), locationTopic(userId), statusTopic(userId)].forEach(topic =>
+    publish(topic, '', { qos: QOS_STATUS, retain: true })
+  );
+  lastPublished.delete(userId);
+}
+
+function runTick() {
+  const start = performance.now();
+  // A truck whose document is malformed is skipped, not allowed to stop the whole fleet
+  vehicles.forEach((vehicle, userId) => {
+    try {
+      tickVehicle(vehicle);
+    } catch (error) {
+      metrics.vehicleTickFailures++;
+      console.error(`Telemetry tick failed for vehicle ${userId}:`, error);
+    }
+  });
+
+  const duration = performance.now() - start;
+  metrics.ticksRun++;
+  metrics.lastTickMs = Math.round(duration * 100) / 100;
+  metrics.maxTickMs = Math.max(metrics.maxTickMs, metrics.lastTickMs);
+  // Exponential moving average over roughly the last 20 ticks
+  metrics.avgTickMs = Math.round((metrics.avgTickMs * 0.95 + duration * 0.05) * 100) / 100;
+}
+
+// Fixed-step scheduler: ticks are synchronous and scheduled one after another, so they never overlap
+function runScheduledTicks() {
+  const behind = Math.max(0, Math.floor((Date.now() - nextTickAt) / TICK_MS));
+  const toRun = Math.min(behind + 1, MAX_CATCH_UP_TICKS);
+  metrics.backlogTicks = behind;
+  metrics.droppedTicks += behind + 1 - toRun;
+
+  try {
+    for (let i = 0; i < toRun; i++) {
+      runTick();
+    }
+  } catch (error) {
+    console.error('Telemetry tick failed:', error);
+  } finally {
+    nextTickAt += (behind + 1) * TICK_MS;
+    tickTimer = setTimeout(runScheduledTicks, Math.max(0, nextTickAt - Date.now()));
+  }
+}
+
+/**
+ * Take in a truck as stored in Mongo, keeping the fields the engine owns
+ * @param {Object} doc - Lean Fleet document
+ * @param {Date} now - Time of the read
+ */
+function mergeVehicle(doc, now) {
+  const userId = doc._id.toString();
+  const existing = vehicles.get(userId);
+
+  if (!existing) {
+    vehicles.set(userId, { ...doc, refreshedAt: now });
+    return;
+  }
+
+  // Driving drains SoC elsewhere; the drop since the last read is the battery's power draw
+  const seconds = (now - existing.refreshedAt) / 1000;
+  const socDrop = existing.truck.batterySOC_percent - doc.truck.batterySOC_percent;
+  const driving = doc.truck.chargingStatus === 'discharging' && socDrop > 0;
+  const energyUsedKWh = driving ? (socDrop / 100) * getUsableCapacityKWh(existing.truck) : 0;
+  existing.dischargePowerKw = driving && seconds > 0 ? energyUsedKWh * 3600 / seconds : 0;
+
+  // ...and together with the distance covered, the truck's actual consumption
+  const from = existing.location?.coordinates;
+  const to = doc.location?.coordinates;
+  if (driving && from?.length === 2 && to?.length === 2) {
+    updateRollingConsumption(existing.truck, calculateDistance(from, to), energyUsedKWh);
+  }
+
+  const engineState = {};
+  ENGINE_FIELDS.forEach(field => {
+    engineState[field] = existing.truck[field];
+  });
+  // While charging the engine's SoC is ahead of what has been flushed
+  const keepSoc = existing.truck.chargingStatus === 'charging' && doc.truck.chargingStatus === 'charging';
+  const soc = keepSoc ? existing.truck.batterySOC_percent : doc.truck.batterySOC_percent;
+
+  Object.assign(existing, doc, { refreshedAt: now });
+  existing.truck = { ...doc.truck, ...engineState, batterySOC_percent: soc };
+  if (!keepSoc) existing.socDirty = false;
+}
+
+/**
+ * Reload trucks and active sessions from Mongo, and serve station queues
+ */
+async function refreshFromDatabase() {
+  const start = performance.now();
+
+  const queuedStarts = await processStationQueues();
+  queuedStarts.forEach(session => console.log(`Queued truck ${session.userId} started charging at ${session.locationName}`));
+
+  const now = new Date();
+  const [docs, activeSessions] = await Promise.all([
+    Fleet.find().lean(),
+    ChargingSession.find({ status: 'active' })
+  ]);
+
+  const seen = new Set();
+  docs.forEach(doc => {
+    mergeVehicle(doc, now);
+    seen.add(doc._id.toString());
+  });
+  [...vehicles.keys()].filter(userId => !seen.has(userId)).forEach(userId => {
+    vehicles.delete(userId);
+    clearRetained(userId);
+  });
+
+  // Sessions the engine is already advancing are ahead of their stored copy
+  activeSessions.forEach(session => {
+    const current = sessions.get(session.userId);
+    if (!current || current._id.toString() !== session._id.toString()) {
+      sessions.set(session.userId, session);
+    }
+  });
+
+  metrics.lastRefreshMs = Math.round(performance.now() - start);
+  metrics.lastRefreshAt = now;
+}
+
+/**
+ * Pick up a change to one truck straight away (e.g. after a status update through the API)
+ * @param {String} userId - Fleet document id
+ */
+async function refreshVehicle(userId) {
+  const now = new Date();
+  const [doc, session] = await Promise.all([
+    Fleet.findById(userId).lean(),
+    ChargingSession.findOne({ userId: userId, status: 'active' })
+  ]);
+
+  if (!doc) {
+    if (vehicles.delete(userId)) clearRetained(userId);
+    return;
+  }
+  mergeVehicle(doc, now);
+
+  const current = sessions.get(userId);
+  if (!session) {
+    // Closed elsewhere (e.g. /stopCharging); drop it without saving the stale copy
+    if (current) dirtySessions.delete(current);
+    sessions.delete(userId);
+  } else if (!current || current._id.toString() !== session._id.toString()) {
+    sessions.set(userId, session);
+  }
+}
+
+/**
+ * Change the target of a truck's running charging session; the next tick stops it if already reached
+ * @param {String} userId - Fleet document id
+ * @param {Number} targetSoc - New target in percent
+ * @returns {Boolean} Whether the engine had a running session
+ */
+function setSessionTarget(userId, targetSoc) {
+  const session = sessions.get(userId);
+  if (!session) return false;
+  session.targetSoc = targetSoc;
+  return true;
+}
+
+/**
+ * Write the engine's truck and session state to Mongo in bulk
+ * @returns {Number} Trucks written
+ */
+async function flushToDatabase() {
+  const start = performance.now();
+  const userIds = [...dirtyVehicles];
+  const sessionsToSave = [...dirtySessions];
+  dirtyVehicles.clear();
+  dirtySessions.clear();
+
+  const ops = userIds.map(userId => vehicles.get(userId)).filter(Boolean).map(vehicle => {
+    const update = {};
+    ENGINE_FIELDS.forEach(field => {
+      if (vehicle.truck[field] !== undefined) {
+        update[`truck.${field}`] = vehicle.truck[field];
+      }
+    });
+    // SoC belongs to the engine only while it is charging the truck
+    if (vehicle.socDirty) {
+      update['truck.batterySOC_percent'] = vehicle.truck.batterySOC_percent;
+      vehicle.socDirty = false;
+    }
+    return { updateOne: { filter: { _id: vehicle._id }, update: { $set: update } } };
+  });
+
+  try {
+    for (let i = 0; i < ops.length; i += BULK_CHUNK_SIZE) {
+      await Fleet.bulkWrite(ops.slice(i, i + BULK_CHUNK_SIZE), { ordered: false });
+    }
+    // Only sessions still active in Mongo; one stopped through the API meanwhile stays stopped
+    const sessionOps = sessionsToSave.map(session => {
+      const update = {
+        durationSeconds: session.durationSeconds,
+        currentPowerKw: session.currentPowerKw,
+        energyDeliveredKWh: session.energyDeliveredKWh,
+        endSoc: session.endSoc
+      };
+      if (typeof session.cost?.amount === 'number') {
+        update['cost.amount'] = session.cost.amount;
+      }
+      return { updateOne: { filter: { _id: session._id, status: 'active' }, update: { $set: update } } };
+    });
+    if (sessionOps.length > 0) {
+      await ChargingSession.bulkWrite(sessionOps, { ordered: false });
+    }
+    metrics.flushes++;
+  } catch (error) {
+    metrics.flushFailures++;
+    // Try again with the next flush
+    userIds.forEach(userId => dirtyVehicles.add(userId));
+    sessionsToSave.forEach(session => dirtySessions.add(session));
+    throw error;
+  } finally {
+    metrics.lastFlushMs = Math.round(performance.now() - start);
+    metrics.lastFlushCount = ops.length;
+    metrics.lastFlushAt = new Date();
+  }
+
+  return ops.length;
+}
+
+// Background jobs skip a run while the previous one is still going
+function runExclusive(job, getInFlight, setInFlight, label) {
+  if (getInFlight()) return;
+  setInFlight(job()
+    .catch(error => console.error(`Telemetry ${label} failed:`, error))
+    .finally(() => setInFlight(null)));
+}
+
+/**
+ * Load the fleet and start ticking, flushing and refreshing
+ * @param {Object} options - publish(topic, message, { qos, retain }) called for every truck on every tick
+ */
+async function startTelemetryEngine(options = {}) {
+  publish = options.publish || publish;
+  await refreshFromDatabase();
+  console.log(`Telemetry engine started with ${vehicles.size} vehicles`);
+
+  nextTickAt = Date.now() + TICK_MS;
+  tickTimer = setTimeout(runScheduledTicks, TICK_MS);
+  flushTimer = setInterval(() => runExclusive(flushToDatabase, () => flushInFlight, value => { flushInFlight = value; }, 'flush'), FLUSH_INTERVAL_MS);
+  refreshTimer = setInterval(() => runExclusive(refreshFromDatabase, () => refreshInFlight, value => { refreshInFlight = value; }, 'refresh'), REFRESH_INTERVAL_MS);
+}
+
+/**
+ * Stop ticking and write what has not been flushed yet. A failed last write is logged, not thrown,
+ * so shutdown carries on
+ */
+async function stopTelemetryEngine() {
+  clearTimeout(tickTimer);
+  clearInterval(flushTimer);
+  clearInterval(refreshTimer);
+  await flushInFlight;
+  await flushToDatabase().catch(error => console.error('Telemetry final flush failed:', error));
+}
+
+/**
+ * Simulator health for sizing: tick timings, how far behind the scheduler is and pending writes
+ * @returns {Object} Metrics snapshot
+ */
+function getTelemetryMetrics() {
+  return {
+    ...metrics,
+    vehicles: vehicles.size,
+    activeSessions: sessions.size,
+    dirtyVehicles: dirtyVehicles.size,
+    flushInFlight: Boolean(flushInFlight),
+    tickIntervalMs: TICK_MS,
+    flushIntervalMs: FLUSH_INTERVAL_MS,
+    refreshIntervalMs: REFRESH_INTERVAL_MS
+  };
+}
+
+module.exports = {
+  startTelemetryEngine,
+  stopTelemetryEngine,
+  refreshVehicle,
+  setSessionTarget,
+  getTelemetryMetrics
+};
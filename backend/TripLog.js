@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const TripEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['start', 'pause', 'resume', 'diversion', 'charge-start', 'charge-end', 'stop', 'complete'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  index: Number,
+  // Route the truck is on after the event (changes on a charging diversion)
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }
+}, { _id: false });
+
+// Breadcrumb trail of a single navigation, kept after the route is marked dead; its positions live in TripSample
+const TripLogSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  routeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Route'
+  },
+  routeName: String,
+  status: {
+    type: String,
+    enum: ['recording', 'completed', 'stopped', 'aborted'],
+    default: 'recording'
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: Date,
+  events: [TripEventSchema]
+}, { timestamps: true });
+
+TripLogSchema.index({ userId: 1, startTime: -1 });
+
+module.exports = mongoose.model('TripLog', TripLogSchema);
@@ -0,0 +1,162 @@
+const TripLog = require('./TripLog');
+const TripSample = require('./TripSample');
+
+// Samples are written in batches instead of one update per tick
+const TRIP_LOG_FLUSH_SIZE = 30;
+
+/**
+ * Open a trip log for a navigation that is starting
+ * @param {Object} navigation - In-memory navigation (userId, routeId, routeName, startTime)
+ * @returns {String} Id of the new trip log
+ */
+async function startTripLog(navigation) {
+  const tripLog = new TripLog({
+    userId: navigation.userId,
+    routeId: navigation.routeId,
+    routeName: navigation.routeName,
+    startTime: navigation.startTime,
+    events: [{ type: 'start', at: navigation.startTime, index: 0, routeId: navigation.routeId }]
+  });
+  await tripLog.save();
+
+  return tripLog._id.toString();
+}
+
+/**
+ * Write the samples buffered on a navigation to its trip log
+ * @param {Object} navigation - In-memory navigation with tripLogId and pendingSamples
+ */
+async function flushTripSamples(navigation) {
+  if (!navigation.tripLogId || !navigation.pendingSamples || navigation.pendingSamples.length === 0) {
+    return;
+  }
+
+  const samples = navigation.pendingSamples;
+  navigation.pendingSamples = [];
+
+  try {
+    await TripSample.insertMany(samples.map(sample => ({ ...sample, tripLogId: navigation.tripLogId })));
+  } catch (error) {
+    // Keep them for the next flush, ahead of anything buffered meanwhile
+    navigation.pendingSamples = [...samples, ...navigation.pendingSamples];
+    throw error;
+  }
+}
+
+/**
+ * Buffer the position just emitted for a navigation, flushing once the batch is full
+ * @param {Object} navigation - In-memory navigation
+ * @param {Array} position - [lng, lat]
+ */
+async function recordTripSample(navigation, position) {
+  if (!navigation.tripLogId) {
+    return;
+  }
+
+  navigation.pendingSamples = navigation.pendingSamples || [];
+  navigation.pendingSamples.push({
+    offsetMs: Date.now() - new Date(navigation.startTime).getTime(),
+    coordinates: position,
+    soc: navigation.batterySOC_percent,
+    index: navigation.currentIndex
+  });
+
+  if (navigation.pendingSamples.length >= TRIP_LOG_FLUSH_SIZE) {
+    await flushTripSamples(navigation);
+  }
+}
+
+/**
+ * Append a lifecycle event to a navigation's trip log
+ * @param {Object} navigation - In-memory navigation
+ * @param {String} type - start, pause, resume, diversion, stop or complete
+ */
+async function recordTripEvent(navigation, type) {
+  if (!navigation.tripLogId) {
+    return;
+  }
+
+  // Keep samples ahead of the event so the log stays in order
+  await flushTripSamples(navigation);
+
+  const update = {
+    $push: {
+      events: {
+        type,
+        at: new Date(),
+        index: navigation.currentIndex,
+        routeId: navigation.routeId
+      }
+    }
+  };
+
+  if (type === 'stop' || type === 'complete') {
+    update.$set = {
+      status: type === 'stop' ? 'stopped' : 'completed',
+      endTime: new Date()
+    };
+  }
+
+  await TripLog.updateOne({ _id: navigation.tripLogId }, update);
+}
+
+/**
+ * Close the log of a navigation that cannot go on (e.g. its route was deleted)
+ * @param {String} tripLogId - TripLog document id
+ */
+async function abortTripLog(tripLogId) {
+  await TripLog.updateOne(
+    { _id: tripLogId, status: 'recording' },
+    { $set: { status: 'aborted', endTime: new Date() } }
+  );
+}
+
+/**
+ * Recorded positions of a trip, in the order they were emitted
+ * @param {String} tripLogId - TripLog document id
+ * @returns {Array} TripSample documents
+ */
+async function getTripSamples(tripLogId) {
+  return TripSample.find({ tripLogId: tripLogId })
+    .select('-_id -tripLogId -__v')
+    .sort({ offsetMs: 1 })
+    .lean();
+}
+
+/**
+ * Merge a trip's samples and events into one time-ordered list for replay
+ * @param {Object} tripLog - TripLog document
+ * @param {Array} samples - The trip's samples, from getTripSamples
+ * @returns {Array} Entries of { offsetMs, kind: 'sample' | 'event', data }
+ */
+function buildReplayTimeline(tripLog, samples) {
+  const startTime = new Date(tripLog.startTime).getTime();
+
+  const sampleEntries = samples.map(sample => ({
+    offsetMs: sample.offsetMs,
+    kind: 'sample',
+    data: sample
+  }));
+  const events = tripLog.events.map(event => ({
+    offsetMs: new Date(event.at).getTime() - startTime,
+    kind: 'event',
+    data: event
+  }));
+
+  // On equal offsets the start event leads; other events stay after the samples flushed before them
+  const isStart = entry => entry.kind === 'event' && entry.data.type === 'start';
+  return [...sampleEntries, ...events].sort((a, b) =>
+    (a.offsetMs - b.offsetMs) || (isStart(b) - isStart(a))
+  );
+}
+
+module.exports = {
+  TRIP_LOG_FLUSH_SIZE,
+  startTripLog,
+  flushTripSamples,
+  recordTripSample,
+  recordTripEvent,
+  abortTripLog,
+  getTripSamples,
+  buildReplayTimeline
+};
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One emitted position of a recorded trip; offsetMs is the wall-clock time since the trip started.
+// Kept apart from TripLog so long trips do not grow a single document without bound
+const TripSampleSchema = new mongoose.Schema({
+  tripLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'TripLog'
+  },
+  offsetMs: Number,
+  coordinates: [Number],
+  soc: Number,
+  index: Number
+});
+
+TripSampleSchema.index({ tripLogId: 1, offsetMs: 1 });
+
+module.exports = mongoose.model('TripSample', TripSampleSchema);
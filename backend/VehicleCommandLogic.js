@@ -0,0 +1,104 @@
+const axios = require('axios');
+const Fleet = require('./Fleet');
+const ChargingSession = require('./ChargingSession');
+const { startChargingSession, finishChargingSession } = require('./ChargingSessionLogic');
+const { refreshVehicle, setSessionTarget } = require('./TelemetryEngine');
+require('dotenv').config();
+
+// Trips are driven by the navigation server (server.js)
+const NAVIGATION_URL = process.env.NAVIGATION_URL || 'http://localhost:5001';
+const CHARGING_STATUSES = Fleet.schema.path('truck.chargingStatus').enumValues;
+
+async function setChargingStatus(fleet, { chargingStatus }) {
+  if (!CHARGING_STATUSES.includes(chargingStatus)) {
+    return { error: `chargingStatus must be one of ${CHARGING_STATUSES.join(', ')}` };
+  }
+
+  // Charging needs a station or depot; leaving 'charging' ends the running session
+  let session = null;
+  if (chargingStatus === 'charging') {
+    const started = await startChargingSession(fleet);
+    if (started.error) {
+      return { error: started.error };
+    }
+    session = started.session;
+  } else {
+    const active = await ChargingSession.findOne({ userId: fleet._id.toString(), status: 'active' });
+    if (active) {
+      await finishChargingSession(active, 'requested');
+    }
+  }
+
+  await Fleet.updateOne({ _id: fleet._id }, { 'truck.chargingStatus': chargingStatus });
+  await refreshVehicle(fleet._id.toString());
+
+  return { result: { chargingStatus, sessionId: session?._id } };
+}
+
+async function setChargeLimit(fleet, { targetSoc }) {
+  const limit = parseFloat(targetSoc);
+  if (!Number.isFinite(limit) || limit <= 0 || limit > 100) {
+    return { error: 'targetSoc must be between 0 and 100' };
+  }
+
+  await Fleet.updateOne({ _id: fleet._id }, { 'truck.chargeLimit_percent': limit });
+  // A running session follows the new limit straight away
+  const { modifiedCount } = await ChargingSession.updateOne(
+    { userId: fleet._id.toString(), status: 'active' },
+    { targetSoc: limit }
+  );
+  setSessionTarget(fleet._id.toString(), limit);
+
+  return { result: { targetSoc: limit, sessionUpdated: modifiedCount > 0 } };
+}
+
+async function callNavigation(path, body) {
+  try {
+    const response = await axios.post(`${NAVIGATION_URL}${path}`, body);
+    return { result: response.data };
+  } catch (error) {
+    return { error: error.response?.data?.error || `Navigation server unavailable: ${error.message}` };
+  }
+}
+
+async function startTrip(fleet, { routeId, speedFactor, reservePercent }) {
+  if (!routeId) {
+    return { error: 'routeId is required' };
+  }
+  const { result, error } = await callNavigation('/startNavigation', {
+    userId: fleet._id.toString(), routeId, speedFactor, reservePercent
+  });
+  return error ? { error } : { result: { routeId, routeName: result.routeName, totalPoints: result.totalPoints } };
+}
+
+async function stopTrip(fleet) {
+  const { result, error } = await callNavigation('/stopNavigation', { userId: fleet._id.toString() });
+  return error ? { error } : { result: { routeId: result.routeId } };
+}
+
+const COMMAND_HANDLERS = { setChargingStatus, setChargeLimit, startTrip, stopTrip };
+
+/**
+ * Carry out a command received on fleet/{id}/cmd
+ * @param {String} vehicleId - Fleet document id
+ * @param {String} command - setChargingStatus, setChargeLimit, startTrip or stopTrip
+ * @param {Object} params - Command parameters
+ * @returns {Object} result, or error as the nack reason
+ */
+async function executeVehicleCommand(vehicleId, command, params = {}) {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) {
+    return { error: `Unknown command ${command}` };
+  }
+
+  const fleet = await Fleet.findById(vehicleId).catch(() => null);
+  if (!fleet) {
+    return { error: 'Unknown vehicle' };
+  }
+
+  return handler(fleet, params);
+}
+
+module.exports = {
+  executeVehicleCommand
+};
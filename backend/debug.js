@@ -1,4 +1,5 @@
 const ChargingStation = require('./ChargingStation');
+const { syncOpenChargeMap } = require('./OcmSyncLogic');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
@@ -136,85 +137,13 @@ async function populateSpainStations() {
     
     console.log('\n=== POPULATING SPAIN STATIONS ===\n');
     
-    const API_KEY = process.env.OPENCHARGE_MAP_API_KEY;
-    
-    if (!API_KEY) {
-      console.log('❌ API key required');
-      return;
-    }
-    
-    const axios = require('axios');
-    const url = 'https://api.openchargemap.io/v3/poi/';
-    
-    const params = {
-      key: API_KEY,
-      countrycode: 'ES', // Spain
-      maxresults: 1000,
-      compact: false,
-      verbose: false
-    };
-    
-    console.log('Fetching stations from OpenChargeMap...');
-    const response = await axios.get(url, { params });
-    const stations = response.data;
-    
-    console.log(`Found ${stations.length} stations to process`);
-    
-    let inserted = 0;
-    let skipped = 0;
-    
-    for (const station of stations) {
-      try {
-        if (!station.AddressInfo || !station.AddressInfo.Latitude || !station.AddressInfo.Longitude) {
-          skipped++;
-          continue;
-        }
-
-        const stationData = {
-          stationId: `ocm_${station.ID}`,
-          name: station.AddressInfo.Title || 'Unknown Station',
-          address: `${station.AddressInfo.AddressLine1 || ''} ${station.AddressInfo.Town || ''} ${station.AddressInfo.Postcode || ''}`.trim(),
-          location: {
-            type: 'Point',
-            coordinates: [station.AddressInfo.Longitude, station.AddressInfo.Latitude]
-          },
-          connectorTypes: station.Connections?.map(conn => 
-            conn.ConnectionType?.Title || 'Other'
-          ).filter(Boolean) || ['Other'],
-          powerKw: station.Connections?.[0]?.PowerKW || 0,
-          operatorName: station.OperatorInfo?.Title || 'Unknown',
-          isOperational: station.StatusType?.ID === 50, // 50 = Operational in OCM
-          openingHours: station.AddressInfo?.AccessComments || 'Unknown',
-          phoneNumber: station.AddressInfo?.ContactTelephone1,
-          website: station.AddressInfo?.RelatedURL,
-          externalSource: {
-            provider: 'OpenChargeMap',
-            externalId: station.ID.toString(),
-            lastUpdated: new Date()
-          }
-        };
-
-        await ChargingStation.findOneAndUpdate(
-          { stationId: stationData.stationId },
-          stationData,
-          { upsert: true, new: true }
-        );
-        
-        inserted++;
-        
-        if (inserted % 100 === 0) {
-          console.log(`Processed ${inserted} stations...`);
-        }
-        
-      } catch (stationError) {
-        console.error(`Error processing station ${station.ID}:`, stationError.message);
-        skipped++;
-      }
-    }
+    const result = await syncOpenChargeMap({ countryCode: 'ES', full: true });
     
     console.log(`\n✅ Population complete:`);
-    console.log(`   Inserted/Updated: ${inserted} stations`);
-    console.log(`   Skipped: ${skipped} stations`);
+    console.log(`   Inserted: ${result.inserted} stations`);
+    console.log(`   Updated: ${result.updated} stations`);
+    console.log(`   Skipped: ${result.skipped} stations`);
+    console.log(`   Removed upstream: ${result.removed} stations`);
     
   } catch (error) {
     console.error('Population error:', error);
@@ -4,9 +4,13 @@ const mongoose = require('mongoose');
 const cors = require('cors')
 const http = require('http');
 const axios = require('axios');
-const { startSimulation } = require('./MQPublisher')
+const { startSimulation, stopSimulation, getSimulationMetrics, sendCommand } = require('./MQPublisher')
+const { COMMANDS } = require('./FleetTopics')
+const { refreshVehicle } = require('./TelemetryEngine')
 const Facility =require('./Facility')
 const Fleet=require('./Fleet')
+const ChargingSession = require('./ChargingSession')
+const { DEFAULT_TARGET_SOC, startChargingSession, finishChargingSession } = require('./ChargingSessionLogic')
 
 
 const app = express();
@@ -52,25 +56,126 @@ app.get('/fleet', async (req, res) => {
     }
 })
 
+// Status changes go to the vehicle as an MQTT command; the answer says whether it took them
+const commandResponseStatus = (ack) => {
+    if (ack.status === 'ack') return 200;
+    return ack.status === 'timeout' ? 504 : 400;
+}
+
 app.patch('/updateStatus', async (req, res) => {
     try {
-        const user = await Fleet.findByIdAndUpdate(
-            req.body.userId,
-            { 'truck.chargingStatus': req.body.chargingStatus },
-            { new: true }
-        );
-
-        if (!user) {
+        const fleet = await Fleet.findById(req.body.userId);
+        if (!fleet) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        res.json(user);
+        const ack = await sendCommand(req.body.userId, 'setChargingStatus', { chargingStatus: req.body.chargingStatus });
+        if (ack.status !== 'ack') {
+            return res.status(commandResponseStatus(ack)).json({ error: ack.reason, command: ack });
+        }
+
+        const user = await Fleet.findById(req.body.userId);
+        res.json({ success: true, command: ack, fleet: user });
     } catch (err) {
         console.error('Error in updating the status', err);
         res.status(500).json({ error: 'Failed to update status' });
     }
 });
 
+// Any vehicle command: setChargingStatus, setChargeLimit, startTrip or stopTrip
+app.post('/sendCommand', async (req, res) => {
+    try {
+        const { userId, command, params } = req.body;
+        if (!userId || !COMMANDS.includes(command)) {
+            return res.status(400).json({ error: `userId and a command (${COMMANDS.join(', ')}) are required` });
+        }
+
+        const ack = await sendCommand(userId, command, params || {});
+        res.status(commandResponseStatus(ack)).json({ success: ack.status === 'ack', error: ack.reason, command: ack });
+    } catch (err) {
+        console.error('Error sending vehicle command', err);
+        res.status(500).json({ error: 'Failed to send command' });
+    }
+});
+
+app.post('/startCharging', async (req, res) => {
+    try {
+        const { userId } = req.body;
+        const fleet = await Fleet.findById(userId);
+        if (!fleet) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const targetSoc = req.body.targetSoc !== undefined
+            ? parseFloat(req.body.targetSoc)
+            : fleet.truck.chargeLimit_percent || DEFAULT_TARGET_SOC;
+
+        if (!Number.isFinite(targetSoc) || targetSoc <= 0 || targetSoc > 100) {
+            return res.status(400).json({ error: 'targetSoc must be between 0 and 100' });
+        }
+
+        const { session, error } = await startChargingSession(fleet, { targetSoc });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        fleet.truck.chargingStatus = 'charging';
+        await fleet.save();
+        await refreshVehicle(userId);
+
+        res.json({ success: true, session });
+    } catch (err) {
+        console.error('Error starting charging session', err);
+        res.status(500).json({ error: 'Failed to start charging session' });
+    }
+});
+
+app.post('/stopCharging', async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        const session = await ChargingSession.findOne({ userId: userId, status: 'active' });
+        if (!session) {
+            return res.status(404).json({ error: 'No active charging session found' });
+        }
+
+        await finishChargingSession(session, 'requested');
+        await Fleet.findByIdAndUpdate(userId, { 'truck.chargingStatus': 'idle' });
+        await refreshVehicle(userId);
+
+        res.json({ success: true, session });
+    } catch (err) {
+        console.error('Error stopping charging session', err);
+        res.status(500).json({ error: 'Failed to stop charging session' });
+    }
+});
+
+// Charging history per truck (userId) or per station (stationId), newest first
+app.get('/chargingSessions', async (req, res) => {
+    try {
+        const { userId, stationId, status } = req.query;
+        const query = {};
+        if (userId) query.userId = userId;
+        if (stationId) query.stationId = stationId;
+        if (status) query.status = status;
+
+        const sessions = await ChargingSession.find(query).sort({ startTime: -1 }).limit(200);
+        const totals = sessions.reduce((sum, session) => ({
+            energyDeliveredKWh: sum.energyDeliveredKWh + session.energyDeliveredKWh,
+            durationSeconds: sum.durationSeconds + session.durationSeconds
+        }), { energyDeliveredKWh: 0, durationSeconds: 0 });
+
+        res.json({ success: true, sessions, count: sessions.length, totals });
+    } catch (err) {
+        console.error('Error fetching charging sessions', err);
+        res.status(500).json({ error: 'Failed to fetch charging sessions' });
+    }
+});
+
+// Simulator load: tick duration, scheduler backlog and pending Mongo writes
+app.get('/simulationMetrics', (req, res) => {
+    res.json(getSimulationMetrics());
+});
 
 const startServer = async () => {
     try {
@@ -85,9 +190,16 @@ const startServer = async () => {
     }
 }
 process.on('SIGINT', async () => {
-    await mongoose.connection.close();
-    console.log("MONGO DB Connection closed");
-    process.exit(0)
+    try {
+        // Write the last simulated seconds before the connection goes
+        await stopSimulation();
+    } catch (err) {
+        console.error("Error stopping the simulation:", err);
+    } finally {
+        await mongoose.connection.close();
+        console.log("MONGO DB Connection closed");
+        process.exit(0)
+    }
 })
 
 
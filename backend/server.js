@@ -4,12 +4,36 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
-const axios = require('axios');
-const { processRouteForMovement } = require('./RouteLogic');
+const { processRouteForMovement, processRouteLegsForMovement, findLegIndex, getGuidance } = require('./RouteLogic');
 const Route = require('./Route');
 const Fleet=require('./Fleet')
-const { findChargingStationsAlongRoute } = require('./RouteChargingLogic');
+const {
+  findChargingStationsAlongRoute,
+  findReachableChargingStation,
+  calculateCumulativeDistances
+} = require('./RouteChargingLogic');
+const { calculateSocAfterDistance } = require('./BatteryLogic');
 const ChargingStation = require('./ChargingStation');
+const Navigation = require('./Navigation');
+const Facility = require('./Facility');
+const { ROUTING_PROFILES, getRoutingProvider } = require('./RoutingProvider');
+const { findCachedRoute, cacheRoute, withRouteGeometry } = require('./RouteCacheLogic');
+const TripLog = require('./TripLog');
+const FleetSettings = require('./FleetSettings');
+const { DEFAULT_RANKING_WEIGHTS, getStationRankingSettings, rankChargingStations } = require('./StationRankingLogic');
+const { filterCompatibleStations, getCompatibleConnectors, isStationCompatible } = require('./ChargingCompatibilityLogic');
+const ChargingSession = require('./ChargingSession');
+const StationQueue = require('./StationQueue');
+const { getStationsOccupancy } = require('./StationOccupancyLogic');
+const { joinStationQueue, startChargingSession } = require('./ChargingSessionLogic');
+const Reservation = require('./Reservation');
+const { checkReservationAvailability, processReservations } = require('./ReservationLogic');
+const { syncOpenChargeMap } = require('./OcmSyncLogic');
+const { listStations, createStation, updateStation, deleteStation } = require('./ChargingStationLogic');
+const { getStationsInView } = require('./StationClusterLogic');
+const StationReport = require('./StationReport');
+const { PROBLEM_STATUSES, recordStationReport, refreshReliabilityScores, usableStationFilter } = require('./StationReliabilityLogic');
+const { startTripLog, flushTripSamples, recordTripSample, recordTripEvent, abortTripLog, getTripSamples, buildReplayTimeline } = require('./TripLogLogic');
 
 const app = express();
 app.use(express.json());
@@ -27,8 +51,33 @@ const io = socketIo(server, {
 const PORT2 = process.env.PORT2;
 const url = process.env.MONGO_URL;
 
+// ORS or the offline local router, see RoutingProvider.js
+const routingProvider = getRoutingProvider();
+
+// Divert to a charger when the SoC at the destination is projected below this
+const SOC_RESERVE_PERCENT = Number.isFinite(parseFloat(process.env.SOC_RESERVE_PERCENT))
+  ? parseFloat(process.env.SOC_RESERVE_PERCENT)
+  : 15;
+
+// Simulation speed: how many simulated seconds pass per real second
+const MAX_SPEED_FACTOR = 1000;
+const parseSpeedFactor = (value) => {
+  const speedFactor = parseFloat(value);
+  return Number.isFinite(speedFactor) && speedFactor > 0 && speedFactor <= MAX_SPEED_FACTOR ? speedFactor : null;
+};
+
+// Charging stations returned with a planned route
+const MAX_RANKED_STATIONS = 4;
+// Corridor stations scored for a planned route; bounds the ranking and occupancy work on long routes
+const MAX_CANDIDATE_STATIONS = 40;
+
 // Single active navigation per user
 const activeNavigations = new Map(); // userId -> navigation object
+const activeReplays = new Map(); // replayId -> trip replay object
+let reservationInterval = null;
+let occupancyInterval = null;
+let reliabilityInterval = null;
+const lastOccupancy = new Map(); // stationId -> last occupancy pushed over Socket.IO
 
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.id}`);
@@ -46,13 +95,14 @@ io.on('connection', (socket) => {
   
   socket.on('disconnect', () => {
     console.log(`User disconnected: ${socket.id}`);
-    // Stop navigation if user disconnects
+    // Pause navigation if user disconnects; it stays persisted and can be resumed
     if (socket.userId && activeNavigations.has(socket.userId)) {
       const navigation = activeNavigations.get(socket.userId);
-      if (navigation.interval) {
-        clearInterval(navigation.interval);
+      if (navigation.status === 'active') {
+        pauseNavigation(navigation).catch(error => {
+          console.error('Error pausing navigation on disconnect:', error);
+        });
       }
-      activeNavigations.delete(socket.userId);
     }
   });
 });
@@ -66,16 +116,101 @@ const connectDB = async () => {
   }
 };
 
+// Resolve request waypoints ({ lat, lng, name }, { facilityId } or { stationId }) into Route waypoints
+const resolveWaypoints = async (rawWaypoints) => {
+  const waypoints = [];
+
+  for (const raw of rawWaypoints) {
+    if (raw.facilityId) {
+      const facility = await Facility.findById(raw.facilityId);
+      if (!facility) {
+        return { error: `Facility ${raw.facilityId} not found` };
+      }
+      waypoints.push({
+        coordinates: facility.location.coordinates,
+        type: 'facility',
+        refId: facility._id.toString(),
+        name: facility.title
+      });
+    } else if (raw.stationId) {
+      const station = await ChargingStation.findOne({ stationId: raw.stationId });
+      if (!station) {
+        return { error: `Charging station ${raw.stationId} not found` };
+      }
+      waypoints.push({
+        coordinates: station.location.coordinates,
+        type: 'charging',
+        refId: station.stationId,
+        name: station.name
+      });
+    } else {
+      const lat = parseFloat(raw.lat);
+      const lng = parseFloat(raw.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return { error: 'Each waypoint needs lat/lng, a facilityId or a stationId' };
+      }
+      waypoints.push({
+        coordinates: [lng, lat],
+        type: raw.type === 'start' ? 'start' : 'point',
+        name: raw.name
+      });
+    }
+  }
+
+  return { waypoints };
+};
+
+// One leg per pair of consecutive waypoints, keeping the ORS segment of each leg
+const buildLegs = (data) => {
+  const segments = data.features[0]?.properties?.segments || [];
+  return segments.map((segment, index) => ({
+    fromWaypoint: index,
+    toWaypoint: index + 1,
+    distance: segment.distance,
+    duration: segment.duration,
+    segment: segment
+  }));
+};
+
+// Route response shared by /getRoute and charging diversions
+const buildRouteResponse = (route, data, movementPoints, chargingStations) => ({
+  ...data,
+  routeId: route._id,
+  routeName: route.routeName,
+  waypoints: route.waypoints,
+  legs: buildLegs(data).map(({ fromWaypoint, toWaypoint, distance, duration }) => ({ fromWaypoint, toWaypoint, distance, duration })),
+  movementPoints: movementPoints,
+  totalDistance: data.features[0].properties.summary.distance,
+  estimatedDuration: data.features[0].properties.summary.duration,
+  status: route.status,
+  chargingStations: chargingStations
+});
+
 // Create and save route
 app.get('/getRoute', async (req, res) => {
   try {
     const { startLat, startLng, endLat, endLng, userId, routeName } = req.query;
-    const API = process.env.ORS_API;
+    const profile = req.query.profile || 'driving-car';
+    if (!ROUTING_PROFILES.includes(profile)) {
+      return res.status(400).json({ error: `profile must be one of ${ROUTING_PROFILES.join(', ')}` });
+    }
 
-    if (!API) {
-      return res.status(500).json({ error: "Server configuration error: API key missing." });
+    // Either an ordered JSON list of waypoints or a single start/end pair
+    let rawWaypoints;
+    if (req.query.waypoints) {
+      try {
+        rawWaypoints = JSON.parse(req.query.waypoints);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'waypoints must be a JSON array' });
+      }
+    } else if (startLat && startLng && endLat && endLng) {
+      rawWaypoints = [
+        { lat: startLat, lng: startLng, type: 'start' },
+        { lat: endLat, lng: endLng }
+      ];
     }
-    if (!startLat || !startLng || !endLat || !endLng || !userId) {
+
+    if (!Array.isArray(rawWaypoints) || rawWaypoints.length < 2 || !userId) {
       return res.status(400).json({ error: 'Missing required parameters.' });
     }
 
@@ -84,35 +219,64 @@ app.get('/getRoute', async (req, res) => {
       return res.status(400).json({ error: 'User already has an active route. Stop current route first.' });
     }
 
-    const routeUrl = `https://api.openrouteservice.org/v2/directions/driving-car?api_key=${API}&start=${startLng},${startLat}&end=${endLng},${endLat}`;
-    const response = await axios.get(routeUrl);
-    const data = response.data;
+    const { waypoints, error } = await resolveWaypoints(rawWaypoints);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const coordinates = waypoints.map(waypoint => waypoint.coordinates);
+    const cachedRoute = await findCachedRoute(coordinates, profile);
+
+    if (!cachedRoute && !routingProvider.isConfigured()) {
+      return res.status(500).json({ error: `Server configuration error: routing provider "${routingProvider.name}" is not configured.` });
+    }
+
+    const data = cachedRoute
+      ? { type: cachedRoute.type, bbox: cachedRoute.bbox, features: cachedRoute.features, metadata: cachedRoute.metadata }
+      : await routingProvider.getDirections(coordinates, { profile });
     
     const newRoute = new Route({
       userId: userId,
       routeName: routeName || `Route ${new Date().toISOString()}`,
-      type: data.type,
-      bbox: data.bbox,
-      features: data.features,
-      metadata: data.metadata,
-      startCoordinates: [parseFloat(startLng), parseFloat(startLat)],
-      endCoordinates: [parseFloat(endLng), parseFloat(endLat)],
+      startCoordinates: waypoints[0].coordinates,
+      endCoordinates: waypoints[waypoints.length - 1].coordinates,
+      waypoints: waypoints,
+      profile: profile,
       status: 'created',
-      isActive: false
+      isActive: false,
+      // A cache hit only records the trip and points at the stored geometry
+      ...(cachedRoute
+        ? { sourceRouteId: cachedRoute._id }
+        : { type: data.type, bbox: data.bbox, features: data.features, metadata: data.metadata, legs: buildLegs(data) })
     });
 
     await newRoute.save();
-    console.log("Route saved to MongoDB with ID:", newRoute._id);
+    if (!cachedRoute) {
+      await cacheRoute(coordinates, profile, newRoute._id);
+    }
+    console.log(`Route saved to MongoDB with ID: ${newRoute._id}${cachedRoute ? ` (reusing ${cachedRoute._id})` : ''}`);
     
     const movementPoints = processRouteForMovement(data);
     
-    // NEW: Find charging stations along the route
+    // Find charging stations along the route, best scored first for this truck's fleet
     let chargingStations = [];
     try {
       const routeCoordinates = data.features[0]?.geometry?.coordinates || [];
       if (routeCoordinates.length > 0) {
-        chargingStations = await findChargingStationsAlongRoute(routeCoordinates, 5, 4);
-        console.log(`Found ${chargingStations.length} charging stations along the route`);
+        const fleet = mongoose.isValidObjectId(userId) ? await Fleet.findById(userId) : null;
+        const truck = fleet ? fleet.truck.toObject() : null;
+        const candidates = await findChargingStationsAlongRoute(routeCoordinates, 5, MAX_CANDIDATE_STATIONS, truck);
+        const rankingSettings = await getStationRankingSettings(fleet?.fleetId);
+
+        // Busy chargers rank lower through their expected wait
+        const occupancy = await getStationsOccupancy(candidates, truck);
+        candidates.forEach(candidate => {
+          candidate.occupancy = occupancy.get(candidate.stationId);
+        });
+
+        chargingStations = rankChargingStations(candidates, truck, rankingSettings)
+          .slice(0, MAX_RANKED_STATIONS);
+        console.log(`Found ${candidates.length} charging stations along the route, returning the best ${chargingStations.length}`);
       }
     } catch (error) {
       console.error('Error finding charging stations:', error);
@@ -120,14 +284,8 @@ app.get('/getRoute', async (req, res) => {
     }
     
     res.json({
-      ...data,
-      routeId: newRoute._id,
-      routeName: newRoute.routeName,
-      movementPoints: movementPoints,
-      totalDistance: data.features[0].properties.summary.distance,
-      estimatedDuration: data.features[0].properties.summary.duration,
-      status: newRoute.status,
-      chargingStations: chargingStations // NEW: Include charging stations in response
+      ...buildRouteResponse(newRoute, data, movementPoints, chargingStations),
+      cached: Boolean(cachedRoute)
     });
 
   } catch (err) {
@@ -136,20 +294,19 @@ app.get('/getRoute', async (req, res) => {
   }
 });
 
-// NEW: Add endpoint to populate charging stations (for admin use)
+// Sync charging stations from OpenChargeMap (for admin use)
+// Incremental unless full is set; a full sync marks stations no longer listed as non-operational
 app.post('/populateChargingStations', async (req, res) => {
   try {
-    const { populateChargingStationsFromAPI } = require('./RouteChargingLogic');
-    
-    // You can specify a bounding box or country code
-    const { boundingBox, countryCode } = req.body;
-    
-    await populateChargingStationsFromAPI(boundingBox, countryCode || 'US');
-    
-    res.json({ 
-      success: true, 
-      message: 'Charging stations populated successfully' 
-    });
+    const { boundingBox, countryCode, full } = req.body;
+
+    if (!boundingBox && !countryCode) {
+      return res.status(400).json({ error: 'boundingBox or countryCode is required' });
+    }
+
+    const result = await syncOpenChargeMap({ boundingBox, countryCode, full: Boolean(full) });
+
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error('Error populating charging stations:', error);
     res.status(500).json({ error: 'Failed to populate charging stations' });
@@ -159,13 +316,16 @@ app.post('/populateChargingStations', async (req, res) => {
 // NEW: Add endpoint to get charging stations in an area (for testing)
 app.get('/getChargingStations', async (req, res) => {
   try {
-    const { lat, lng, radius = 10 } = req.query;
+    const { lat, lng, radius = 10, userId } = req.query;
     
     if (!lat || !lng) {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
+
+    // With a userId only stations the truck can plug into are returned
+    const fleet = userId && mongoose.isValidObjectId(userId) ? await Fleet.findById(userId) : null;
     
-    const stations = await ChargingStation.find({
+    const nearbyStations = await ChargingStation.find({
       location: {
         $near: {
           $geometry: {
@@ -175,8 +335,14 @@ app.get('/getChargingStations', async (req, res) => {
           $maxDistance: radius * 1000 // Convert km to meters
         }
       },
-      isOperational: true
-    }).limit(50);
+      ...usableStationFilter()
+    }).limit(50).lean();
+    const truck = fleet ? fleet.truck.toObject() : null;
+    const stations = filterCompatibleStations(nearbyStations, truck);
+    const occupancy = await getStationsOccupancy(stations, truck);
+    stations.forEach(station => {
+      station.occupancy = occupancy.get(station.stationId);
+    });
     
     res.json({
       success: true,
@@ -189,6 +355,195 @@ app.get('/getChargingStations', async (req, res) => {
   }
 });
 
+// Stations in the map viewport, clustered on a grid when zoomed out
+// With a userId only stations with a connector the truck supports are included
+app.get('/getStationsInView', async (req, res) => {
+  try {
+    const { userId, includeOffline } = req.query;
+    const box = {
+      south: parseFloat(req.query.south),
+      west: parseFloat(req.query.west),
+      north: parseFloat(req.query.north),
+      east: parseFloat(req.query.east)
+    };
+    const zoom = parseInt(req.query.zoom, 10);
+
+    if (!Object.values(box).every(Number.isFinite) || !Number.isFinite(zoom)) {
+      return res.status(400).json({ error: 'south, west, north, east and zoom are required' });
+    }
+
+    const fleet = userId && mongoose.isValidObjectId(userId) ? await Fleet.findById(userId) : null;
+    const truck = fleet ? fleet.truck.toObject() : null;
+
+    const filter = includeOffline === 'true' ? {} : usableStationFilter();
+    if (truck?.supportedConnectors?.length) {
+      filter.connectorTypes = { $in: truck.supportedConnectors };
+    }
+
+    const result = await getStationsInView(box, zoom, filter);
+    const stations = filterCompatibleStations(result.stations, truck);
+    if (!result.clustered) {
+      const occupancy = await getStationsOccupancy(stations, truck);
+      stations.forEach(station => {
+        station.occupancy = occupancy.get(station.stationId);
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      stations: stations,
+      zoom: zoom
+    });
+  } catch (error) {
+    console.error('Error fetching stations in view:', error);
+    res.status(500).json({ error: 'Failed to fetch stations in view' });
+  }
+});
+
+// Station management: our own stations (externalSource.provider 'Manual') and corrections to provider data
+// Filters: operator, connector (comma separated), minPower, maxPower, operational, source (manual, provider or a provider name)
+app.get('/getStations', async (req, res) => {
+  try {
+    const { error, status, ...result } = await listStations(req.query);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      count: result.stations.length
+    });
+  } catch (error) {
+    console.error('Error listing charging stations:', error);
+    res.status(500).json({ error: 'Failed to list charging stations' });
+  }
+});
+
+app.get('/getStation/:stationId', async (req, res) => {
+  try {
+    const station = await ChargingStation.findOne({ stationId: req.params.stationId });
+    if (!station) {
+      return res.status(404).json({ error: 'Charging station not found' });
+    }
+
+    res.json({ success: true, station: station });
+  } catch (error) {
+    console.error('Error fetching charging station:', error);
+    res.status(500).json({ error: 'Failed to fetch charging station' });
+  }
+});
+
+app.post('/createStation', async (req, res) => {
+  try {
+    const { station, error, status } = await createStation(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json({ success: true, station: station });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating charging station:', error);
+    res.status(500).json({ error: 'Failed to create charging station' });
+  }
+});
+
+app.patch('/updateStation/:stationId', async (req, res) => {
+  try {
+    const { station, error, status } = await updateStation(req.params.stationId, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, station: station });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating charging station:', error);
+    res.status(500).json({ error: 'Failed to update charging station' });
+  }
+});
+
+app.delete('/deleteStation/:stationId', async (req, res) => {
+  try {
+    const { station, error, status } = await deleteStation(req.params.stationId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, message: `Deleted ${station.name}` });
+  } catch (error) {
+    console.error('Error deleting charging station:', error);
+    res.status(500).json({ error: 'Failed to delete charging station' });
+  }
+});
+
+// Charging station ranking weights for a fleet (defaults when none are saved)
+app.get('/getStationRankingSettings', async (req, res) => {
+  try {
+    const { fleetId } = req.query;
+
+    if (!fleetId) {
+      return res.status(400).json({ error: 'fleetId is required' });
+    }
+
+    const settings = await getStationRankingSettings(fleetId);
+    res.json({ success: true, fleetId: fleetId, ...settings });
+  } catch (error) {
+    console.error('Error fetching station ranking settings:', error);
+    res.status(500).json({ error: 'Failed to fetch station ranking settings' });
+  }
+});
+
+app.post('/setStationRankingSettings', async (req, res) => {
+  try {
+    const { fleetId, weights = {}, preferredOperators } = req.body;
+
+    if (!fleetId) {
+      return res.status(400).json({ error: 'fleetId is required' });
+    }
+
+    const update = {};
+    for (const [key, value] of Object.entries(weights)) {
+      const weight = parseFloat(value);
+      if (!(key in DEFAULT_RANKING_WEIGHTS) || !Number.isFinite(weight) || weight < 0) {
+        return res.status(400).json({ error: `Invalid weight ${key}` });
+      }
+      update[`stationRankingWeights.${key}`] = weight;
+    }
+
+    if (preferredOperators !== undefined) {
+      if (!Array.isArray(preferredOperators)) {
+        return res.status(400).json({ error: 'preferredOperators must be an array' });
+      }
+      update.preferredOperators = preferredOperators;
+    }
+
+    await FleetSettings.findOneAndUpdate(
+      { fleetId: fleetId },
+      { $set: update },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const settings = await getStationRankingSettings(fleetId);
+    res.json({ success: true, fleetId: fleetId, ...settings });
+  } catch (error) {
+    console.error('Error saving station ranking settings:', error);
+    res.status(500).json({ error: 'Failed to save station ranking settings' });
+  }
+});
+
+// Trip records read their distance/duration from the populated source route
+const getRouteSummary = (route) => {
+  const geometryRoute = route.sourceRouteId?.features ? route.sourceRouteId : route;
+  return geometryRoute.features[0]?.properties?.summary || {};
+};
+
 // Get all routes for a user
 app.get('/getUserRoutes', async (req, res) => {
   try {
@@ -198,15 +553,18 @@ app.get('/getUserRoutes', async (req, res) => {
       return res.status(400).json({ error: 'userId is required' });
     }
 
-    const routes = await Route.find({ userId: userId }).sort({ createdAt: -1 });
+    const routes = await Route.find({ userId: userId })
+      .populate('sourceRouteId', 'features.properties.summary')
+      .sort({ createdAt: -1 });
     
     const routesWithDetails = routes.map(route => ({
       routeId: route._id,
       routeName: route.routeName,
       startCoordinates: route.startCoordinates,
       endCoordinates: route.endCoordinates,
-      totalDistance: route.features[0]?.properties?.summary?.distance || 0,
-      estimatedDuration: route.features[0]?.properties?.summary?.duration || 0,
+      waypoints: route.waypoints,
+      totalDistance: getRouteSummary(route).distance || 0,
+      estimatedDuration: getRouteSummary(route).duration || 0,
       status: route.status,
       isActive: route.isActive,
       createdAt: route.createdAt
@@ -227,7 +585,9 @@ app.get('/getUserRoutes', async (req, res) => {
 // Fleet Manager: Get all routes (alive and dead)
 app.get('/getFleetRoutes', async (req, res) => {
   try {
-    const routes = await Route.find({}).sort({ createdAt: -1 });
+    const routes = await Route.find({})
+      .populate('sourceRouteId', 'features.properties.summary')
+      .sort({ createdAt: -1 });
     
     const routesWithDetails = routes.map(route => ({
       routeId: route._id,
@@ -235,8 +595,9 @@ app.get('/getFleetRoutes', async (req, res) => {
       userId: route.userId,
       startCoordinates: route.startCoordinates,
       endCoordinates: route.endCoordinates,
-      totalDistance: route.features[0]?.properties?.summary?.distance || 0,
-      estimatedDuration: route.features[0]?.properties?.summary?.duration || 0,
+      waypoints: route.waypoints,
+      totalDistance: getRouteSummary(route).distance || 0,
+      estimatedDuration: getRouteSummary(route).duration || 0,
       status: route.status,
       isActive: route.isActive,
       createdAt: route.createdAt,
@@ -262,181 +623,763 @@ app.get('/getFleetRoutes', async (req, res) => {
   }
 });
 
-app.post('/startNavigation', async (req, res) => {
-  try {
-    const { userId, routeId } = req.body;
+// Load a route's movement points and legs into a navigation
+const applyRouteToNavigation = (navigation, route) => {
+  const { movementPoints, legStartIndices, guidanceSteps } = processRouteLegsForMovement(route);
 
-    if (activeNavigations.has(userId)) {
-      return res.status(400).json({ error: 'User already has an active navigation. Stop current navigation first.' });
-    }
+  return Object.assign(navigation, {
+    routeId: route._id.toString(),
+    routeName: route.routeName,
+    waypoints: route.waypoints || [],
+    movementPoints,
+    legStartIndices,
+    guidanceSteps,
+    cumulativeDistancesKm: calculateCumulativeDistances(movementPoints)
+  });
+};
 
-    const route = await Route.findById(routeId);
-    if (!route || route.userId !== userId) {
-      return res.status(404).json({ error: 'Route not found or access denied' });
-    }
+// In-memory navigation object shared by start and restore
+const createNavigationState = ({ userId, route, currentIndex = 0, status = 'active', startTime = new Date(), reservePercent = SOC_RESERVE_PERCENT, chargingStationId = null, speedFactor = 1, tripLogId = null }) => {
+  const navigation = applyRouteToNavigation({
+    userId,
+    status,
+    startTime,
+    reservePercent,
+    chargingStationId,
+    speedFactor,
+    tripLogId,
+    pendingSamples: [],
+    stepRemainder: 0,
+    timer: null,
+    run: null
+  }, route);
 
-    await Route.findByIdAndUpdate(routeId, {
-      status: 'alive',
-      isActive: true
-    });
+  navigation.currentIndex = Math.min(currentIndex, navigation.movementPoints.length);
+  navigation.lastEmittedIndex = navigation.currentIndex;
+  navigation.currentPosition = navigation.movementPoints[Math.min(navigation.currentIndex, navigation.movementPoints.length - 1)];
+  return navigation;
+};
 
-    const movementPoints = processRouteForMovement(route);
+// Which leg of a multi-stop route the truck is on, and the stop it is heading to
+const getLegProgress = (navigation) => {
+  const legIndex = findLegIndex(navigation.legStartIndices, navigation.currentIndex);
+  const nextStop = navigation.waypoints[legIndex + 1];
 
-    const navigation = {
-      userId,
-      routeId,
-      routeName: route.routeName,
-      movementPoints,
-      currentIndex: 0,
-      currentPosition: movementPoints[0],
-      status: 'active',
-      startTime: new Date(),
-      interval: null
-    };
+  return {
+    legIndex: legIndex,
+    totalLegs: navigation.legStartIndices.length,
+    nextStop: nextStop ? { name: nextStop.name, type: nextStop.type, coordinates: nextStop.coordinates } : null
+  };
+};
 
-   navigation.interval = setInterval(async () => {
-  if (navigation.currentIndex >= navigation.movementPoints.length) {
-    clearInterval(navigation.interval);
-    activeNavigations.delete(userId);
+// Trucks drain while on a trip and go back to idle when it ends or is paused.
+// With fromStatus the change only applies to a truck still in that state (e.g. not one that was plugged in meanwhile)
+const setTruckChargingStatus = async (userId, chargingStatus, fromStatus) => {
+  try {
+    const filter = fromStatus ? { _id: userId, 'truck.chargingStatus': fromStatus } : { _id: userId };
+    await Fleet.updateOne(filter, { 'truck.chargingStatus': chargingStatus });
+  } catch (error) {
+    console.error(`Error setting charging status ${chargingStatus} for user ${userId}:`, error);
+  }
+};
 
-    await Route.findByIdAndUpdate(routeId, {
-      status: 'dead',
-      isActive: false
-    });
+// Finish a navigation that reached the end of its movement points
+const completeNavigation = async (navigation) => {
+  const { userId, routeId } = navigation;
 
-    io.to(userId).emit('navigation-completed', {
-      routeId: routeId,
-      routeName: navigation.routeName,
-      message: `Navigation completed for ${navigation.routeName}!`
-    });
+  stopNavigationTimer(navigation);
+  activeNavigations.delete(userId);
 
-    io.to('fleet-manager').emit('route-completed', {
-      userId: userId,
-      routeId: routeId,
-      routeName: navigation.routeName,
-      completedAt: new Date()
-    });
+  await Route.findByIdAndUpdate(routeId, {
+    status: 'dead',
+    isActive: false
+  });
+  await Navigation.deleteOne({ userId: userId });
+  await setTruckChargingStatus(userId, 'idle');
+  await recordTripEvent(navigation, 'complete');
+
+  io.to(userId).emit('navigation-completed', {
+    routeId: routeId,
+    routeName: navigation.routeName,
+    message: `Navigation completed for ${navigation.routeName}!`
+  });
+
+  io.to('fleet-manager').emit('route-completed', {
+    userId: userId,
+    routeId: routeId,
+    routeName: navigation.routeName,
+    completedAt: new Date()
+  });
+
+  console.log(`Navigation completed for user ${userId}, route ${routeId}`);
+};
 
-    console.log(`Navigation completed for user ${userId}, route ${routeId}`);
+// Re-plan the trip through a charging station when the destination SoC is projected below the reserve.
+// Runs alongside the ticks; the planned route is switched to at the start of the next tick
+const checkChargingDiversion = async (navigation, truck) => {
+  if (navigation.chargingStationId || navigation.diverting || navigation.plannedDiversion ||
+    Date.now() < (navigation.nextDiversionCheck || 0)) {
     return;
   }
 
-  const currentPosition = navigation.movementPoints[navigation.currentIndex];
-  navigation.currentPosition = currentPosition;
+  const totalKm = navigation.cumulativeDistancesKm[navigation.cumulativeDistancesKm.length - 1];
+  const remainingKm = totalKm - navigation.cumulativeDistancesKm[navigation.currentIndex];
+  const projectedSoc = calculateSocAfterDistance(truck, remainingKm);
+
+  if (projectedSoc >= navigation.reservePercent) {
+    return;
+  }
 
+  navigation.diverting = true;
   try {
-    // Method 1: Try to find and update existing fleet document
-    const fleetUpdate = await Fleet.findOneAndUpdate(
-      { _id: userId },
-      {
-        $set: {
-          'location.coordinates': currentPosition,
-          'location.type': 'Point'
-        }
-      },
-      { 
-        new: true,
-        upsert: false // Don't create if doesn't exist
-      }
+    const { userId } = navigation;
+    const remainingPoints = navigation.movementPoints.slice(navigation.currentIndex);
+    const station = await findReachableChargingStation(remainingPoints, truck);
+
+    if (!station) {
+      // Nothing in range yet; look again once the truck has moved on
+      console.log(`No reachable charging station for user ${userId}, projected SoC ${projectedSoc}%`);
+      navigation.nextDiversionCheck = Date.now() + 60000;
+      return;
+    }
+
+    const previousRoute = await Route.findById(navigation.routeId);
+    const startCoordinates = navigation.currentPosition;
+
+    // Charge first, then carry on with the stops that are still ahead
+    const { legIndex } = getLegProgress(navigation);
+    const remainingStops = navigation.waypoints.length > 0
+      ? navigation.waypoints.slice(legIndex + 1)
+      : [{ coordinates: previousRoute.endCoordinates, type: 'point' }];
+    const waypoints = [
+      { coordinates: startCoordinates, type: 'start' },
+      { coordinates: station.location.coordinates, type: 'charging', refId: station.stationId, name: station.name },
+      ...remainingStops
+    ];
+
+    // Stay on the trip's profile, so a truck is not re-routed over roads closed to it
+    const data = await routingProvider.getDirections(
+      waypoints.map(waypoint => waypoint.coordinates),
+      { profile: previousRoute.profile }
     );
 
-    if (fleetUpdate) {
-      console.log(`Fleet location updated for user ${userId} to [${currentPosition[0]}, ${currentPosition[1]}]`);
-    } else {
-      console.log(`No fleet document found for user ${userId}. Fleet update skipped.`);
-      
-      // Optional: Check if fleet document exists
-      const fleetExists = await Fleet.findOne({ userId: userId });
-      if (!fleetExists) {
-        console.log(`Fleet document does not exist for user ${userId}. Consider creating one first.`);
+    // The navigation may have been stopped while waiting for directions
+    if (activeNavigations.get(userId) !== navigation) {
+      return;
+    }
+
+    navigation.plannedDiversion = { station, previousRoute, waypoints, data, projectedSoc };
+  } catch (error) {
+    // Directions are rate limited, so a failed attempt is not retried on every tick
+    navigation.nextDiversionCheck = Date.now() + 60000;
+    throw error;
+  } finally {
+    navigation.diverting = false;
+  }
+};
+
+// Switch a navigation to the route planned by checkChargingDiversion
+const applyChargingDiversion = async (navigation) => {
+  const { userId } = navigation;
+  const { station, previousRoute, waypoints, data, projectedSoc } = navigation.plannedDiversion;
+  navigation.plannedDiversion = null;
+
+  const newRoute = new Route({
+    userId: userId,
+    routeName: `${previousRoute.routeName} (via ${station.name})`,
+    type: data.type,
+    bbox: data.bbox,
+    features: data.features,
+    metadata: data.metadata,
+    startCoordinates: waypoints[0].coordinates,
+    endCoordinates: previousRoute.endCoordinates,
+    waypoints: waypoints,
+    legs: buildLegs(data),
+    profile: previousRoute.profile,
+    isDiversion: true,
+    status: 'alive',
+    isActive: true
+  });
+  await newRoute.save();
+
+  await Route.findByIdAndUpdate(previousRoute._id, {
+    status: 'dead',
+    isActive: false
+  });
+
+  const previousRouteId = navigation.routeId;
+  applyRouteToNavigation(navigation, newRoute);
+  navigation.currentIndex = 0;
+  navigation.lastEmittedIndex = 0;
+  navigation.chargingStationId = station.stationId;
+
+  await Navigation.updateOne(
+    { userId: userId },
+    {
+      $set: {
+        routeId: newRoute._id,
+        routeName: newRoute.routeName,
+        currentIndex: 0,
+        chargingStationId: station.stationId
       }
     }
+  );
+  await recordTripEvent(navigation, 'diversion');
 
-    const progress = (navigation.currentIndex / navigation.movementPoints.length) * 100;
-    const remainingPoints = navigation.movementPoints.length - navigation.currentIndex;
+  const diversion = {
+    userId: userId,
+    previousRouteId: previousRouteId,
+    routeId: navigation.routeId,
+    routeName: navigation.routeName,
+    projectedSoc: projectedSoc,
+    reservePercent: navigation.reservePercent,
+    station: station,
+    route: buildRouteResponse(newRoute, data, navigation.movementPoints, [station]),
+    message: `Battery projected at ${projectedSoc.toFixed(1)}% on arrival. Diverting to ${station.name} to charge.`
+  };
 
-    io.to(userId).emit('location-update', {
-      routeId: routeId,
-      routeName: navigation.routeName,
-      position: currentPosition,
-      progress: progress,
-      currentIndex: navigation.currentIndex,
-      totalPoints: navigation.movementPoints.length,
-      estimatedTimeRemaining: remainingPoints
-    });
+  io.to(userId).emit('charging-diversion', diversion);
+  io.to('fleet-manager').emit('charging-diversion', diversion);
 
-    io.to('fleet-manager').emit('live-location-update', {
-      userId: userId,
-      routeId: routeId,
-      routeName: navigation.routeName,
-      position: currentPosition,
-      progress: progress,
-      timestamp: new Date()
-    });
+  console.log(`Navigation for user ${userId} diverted to charging station ${station.stationId}`);
+};
 
-    navigation.currentIndex++;
-  } catch (error) {
-    console.error('Error updating fleet location or emitting updates:', error);
-    console.error('Error details:', error.message);
-    
-    // Continue navigation even if fleet update fails
-    const progress = (navigation.currentIndex / navigation.movementPoints.length) * 100;
-    const remainingPoints = navigation.movementPoints.length - navigation.currentIndex;
+// Movement point where the truck reaches the station it was diverted to
+const getChargingStopIndex = (navigation) => {
+  const waypointIndex = navigation.waypoints.findIndex(waypoint =>
+    waypoint.type === 'charging' && waypoint.refId === navigation.chargingStationId
+  );
+  const index = navigation.legStartIndices[waypointIndex];
+  return waypointIndex > 0 && typeof index === 'number' ? index : Infinity;
+};
 
-    io.to(userId).emit('location-update', {
-      routeId: routeId,
-      routeName: navigation.routeName,
-      position: currentPosition,
-      progress: progress,
-      currentIndex: navigation.currentIndex,
-      totalPoints: navigation.movementPoints.length,
-      estimatedTimeRemaining: remainingPoints
-    });
+// Carry on driving after a charging stop; a later low battery may divert the trip again
+const finishChargingStop = async (navigation, message) => {
+  const { userId } = navigation;
+  const charged = Boolean(navigation.chargingStop);
+  navigation.chargingStop = null;
+  navigation.chargingStationId = null;
 
-    io.to('fleet-manager').emit('live-location-update', {
-      userId: userId,
-      routeId: routeId,
-      routeName: navigation.routeName,
-      position: currentPosition,
-      progress: progress,
-      timestamp: new Date()
-    });
+  await Navigation.updateOne({ userId: userId }, { $set: { chargingStationId: null } });
+  if (charged) {
+    await setTruckChargingStatus(userId, 'discharging', 'idle');
+    await recordTripEvent(navigation, 'charge-end');
+  }
+
+  io.to(userId).emit('charging-stop-completed', { routeId: navigation.routeId, message });
+};
 
-    navigation.currentIndex++;
+// Arrived at the diverted station: plug in, or join its queue when every compatible port is busy
+const beginChargingStop = async (navigation) => {
+  const { userId, chargingStationId } = navigation;
+  const fleet = await Fleet.findById(userId);
+  const { session, queued, error, estimatedWaitMinutes } = fleet
+    ? await startChargingSession(fleet)
+    : { error: 'Truck not found' };
+
+  if (!session && !queued) {
+    console.log(`Charging stop at ${chargingStationId} skipped for user ${userId}: ${error}`);
+    await finishChargingStop(navigation, `Could not charge at the station: ${error}. Continuing the trip.`);
+    return;
   }
 
-}, 1000);
+  navigation.chargingStop = { stationId: chargingStationId, nextCheck: Date.now() + 5000 };
+  // Queued trucks wait idle; the charging simulator plugs them in when their turn comes
+  await setTruckChargingStatus(userId, session ? 'charging' : 'idle');
+  await recordTripEvent(navigation, 'charge-start');
 
-    activeNavigations.set(userId, navigation);
+  const stop = {
+    userId: userId,
+    routeId: navigation.routeId,
+    stationId: chargingStationId,
+    queued: Boolean(queued),
+    message: queued
+      ? `All chargers are busy. Queued, about ${estimatedWaitMinutes} min wait.`
+      : `Charging at ${session.locationName}. The trip continues once it reaches ${session.targetSoc}%.`
+  };
+  io.to(userId).emit('charging-stop', stop);
+  io.to('fleet-manager').emit('charging-stop', stop);
+};
 
-    res.json({
-      success: true,
-      message: `Navigation started for ${route.routeName}`,
-      routeId: routeId,
-      routeName: route.routeName,
-      totalPoints: movementPoints.length
-    });
+// While stopped to charge: resume the trip once the truck is neither charging nor queued any more
+const checkChargingStop = async (navigation) => {
+  if (Date.now() < navigation.chargingStop.nextCheck) {
+    return;
+  }
+  navigation.chargingStop.nextCheck = Date.now() + 5000;
 
-  } catch (error) {
-    console.error('Error starting navigation:', error);
-    res.status(500).json({ error: 'Failed to start navigation' });
+  const [charging, waiting] = await Promise.all([
+    ChargingSession.exists({ userId: navigation.userId, status: 'active' }),
+    StationQueue.exists({ userId: navigation.userId, status: 'waiting' })
+  ]);
+  if (!charging && !waiting) {
+    await finishChargingStop(navigation, 'Charging finished. Continuing the trip.');
   }
-});
+};
 
+// Index the truck reaches on the next tick; one movement point is one simulated second
+const getNextIndex = (navigation) => {
+  const lastIndex = navigation.movementPoints.length - 1;
+  if (navigation.currentIndex >= lastIndex) {
+    return navigation.movementPoints.length;
+  }
 
+  // Carry fractional steps over so speeds like 1.5x average out
+  const steps = navigation.speedFactor + navigation.stepRemainder;
+  const wholeSteps = Math.floor(steps);
+  navigation.stepRemainder = steps - wholeSteps;
 
-// Stop navigation
-app.post('/stopNavigation', async (req, res) => {
-  try {
-    const { userId } = req.body;
-    
-    if (!activeNavigations.has(userId)) {
-      return res.status(404).json({ error: 'No active navigation found' });
-    }
-    
-    const navigation = activeNavigations.get(userId);
-    
-    clearInterval(navigation.interval);
+  // Never skip the destination point itself, nor a charging stop on the way
+  const stopIndex = navigation.chargingStationId ? getChargingStopIndex(navigation) : Infinity;
+  const nextIndex = Math.min(navigation.currentIndex + wholeSteps, lastIndex);
+  return stopIndex > navigation.currentIndex ? Math.min(nextIndex, stopIndex) : nextIndex;
+};
+
+// Move the truck forward, persist the progress and notify listeners
+const advanceNavigation = async (navigation) => {
+  // A diversion planned since the last tick takes over before anything is written
+  if (navigation.plannedDiversion) {
+    await applyChargingDiversion(navigation);
+  }
+  const { userId, routeId } = navigation;
+
+  if (navigation.currentIndex >= navigation.movementPoints.length) {
+    await completeNavigation(navigation);
+    return;
+  }
+
+  // The truck stays put while it charges (or waits for a charger) at a diversion stop
+  if (navigation.chargingStop) {
+    await checkChargingStop(navigation);
+    return;
+  }
+  // Only once the truck's position has been written at the station, so the session finds it there
+  if (navigation.chargingStationId && navigation.lastEmittedIndex >= getChargingStopIndex(navigation)) {
+    await beginChargingStop(navigation);
+    if (navigation.chargingStop) {
+      return;
+    }
+  }
+
+  const currentPosition = navigation.movementPoints[navigation.currentIndex];
+  navigation.currentPosition = currentPosition;
+
+  // Distance along the route since the last tick, however many points were skipped
+  const distanceKm = Math.max(0,
+    navigation.cumulativeDistancesKm[navigation.currentIndex] - navigation.cumulativeDistancesKm[navigation.lastEmittedIndex]
+  );
+  navigation.lastEmittedIndex = navigation.currentIndex;
+
+  try {
+    const fleet = await Fleet.findById(userId);
+
+    if (fleet) {
+      // Battery drain follows the distance covered since the last tick
+      fleet.location.type = 'Point';
+      fleet.location.coordinates = currentPosition;
+      fleet.truck.batterySOC_percent = calculateSocAfterDistance(fleet.truck, distanceKm);
+      await fleet.save();
+
+      navigation.batterySOC_percent = fleet.truck.batterySOC_percent;
+      console.log(`Fleet location updated for user ${userId} to [${currentPosition[0]}, ${currentPosition[1]}], SoC ${fleet.truck.batterySOC_percent}%`);
+
+      recordTripSample(navigation, currentPosition).catch(error => {
+        console.error(`Error recording trip sample for user ${userId}:`, error);
+      });
+
+      checkChargingDiversion(navigation, fleet.truck.toObject()).catch(error => {
+        console.error(`Error re-planning route through a charging station for user ${userId}:`, error);
+      });
+    } else {
+      console.log(`No fleet document found for user ${userId}. Fleet update skipped.`);
+    }
+
+    await Navigation.updateOne(
+      { userId: userId },
+      { $set: { currentIndex: navigation.currentIndex } }
+    );
+  } catch (error) {
+    // Continue navigation even if fleet or navigation persistence fails
+    console.error('Error updating fleet location or navigation state:', error);
+    console.error('Error details:', error.message);
+  }
+
+  const progress = (navigation.currentIndex / navigation.movementPoints.length) * 100;
+  const remainingPoints = navigation.movementPoints.length - navigation.currentIndex;
+  const legProgress = getLegProgress(navigation);
+
+  // Wall-clock time left at the current simulation speed
+  const estimatedTimeRemaining = remainingPoints / navigation.speedFactor;
+
+  io.to(userId).emit('location-update', {
+    routeId: routeId,
+    routeName: navigation.routeName,
+    position: currentPosition,
+    progress: progress,
+    currentIndex: navigation.currentIndex,
+    totalPoints: navigation.movementPoints.length,
+    estimatedTimeRemaining: estimatedTimeRemaining,
+    simulatedTimeRemaining: remainingPoints,
+    guidance: getGuidance(navigation.guidanceSteps, navigation.cumulativeDistancesKm, navigation.currentIndex),
+    speedFactor: navigation.speedFactor,
+    batterySOC_percent: navigation.batterySOC_percent,
+    ...legProgress
+  });
+
+  io.to('fleet-manager').emit('live-location-update', {
+    userId: userId,
+    routeId: routeId,
+    routeName: navigation.routeName,
+    position: currentPosition,
+    progress: progress,
+    batterySOC_percent: navigation.batterySOC_percent,
+    legIndex: legProgress.legIndex,
+    totalLegs: legProgress.totalLegs,
+    speedFactor: navigation.speedFactor,
+    timestamp: new Date()
+  });
+
+  navigation.currentIndex = getNextIndex(navigation);
+};
+
+// Start the per-second movement timer (used by start, resume and startup restore).
+// Each tick schedules the next one when it is done, so a slow database write never lets two ticks overlap
+const scheduleNavigation = (navigation) => {
+  // Identifies this run, so a tick still in flight after a pause or stop does not carry on
+  const run = {};
+  navigation.run = run;
+
+  const tick = async () => {
+    const startedAt = Date.now();
+    try {
+      await advanceNavigation(navigation);
+    } catch (error) {
+      console.error(`Navigation tick failed for user ${navigation.userId}; pausing the navigation:`, error);
+      if (navigation.run === run) {
+        await pauseAfterFailedTick(navigation);
+      }
+    }
+
+    if (navigation.run === run) {
+      navigation.timer = setTimeout(tick, Math.max(0, 1000 - (Date.now() - startedAt)));
+    }
+  };
+
+  navigation.timer = setTimeout(tick, 1000);
+};
+
+const stopNavigationTimer = (navigation) => {
+  clearTimeout(navigation.timer);
+  navigation.timer = null;
+  navigation.run = null;
+};
+
+// Pause a navigation in memory and in MongoDB
+const pauseNavigation = async (navigation) => {
+  stopNavigationTimer(navigation);
+  navigation.status = 'paused';
+
+  await Navigation.updateOne(
+    { userId: navigation.userId },
+    { $set: { status: 'paused', isPaused: true, currentIndex: navigation.currentIndex } }
+  );
+  // A parked truck is not driving, so the simulator should not count a battery draw
+  await setTruckChargingStatus(navigation.userId, 'idle', 'discharging');
+  await recordTripEvent(navigation, 'pause');
+};
+
+// A tick that failed leaves the trip paused, so the driver or fleet manager can resume it
+const pauseAfterFailedTick = async (navigation) => {
+  const { userId } = navigation;
+  try {
+    await pauseNavigation(navigation);
+  } catch (error) {
+    // The navigation is paused in memory even when the database is unreachable
+    console.error(`Error saving the pause of user ${userId} after a failed tick:`, error);
+  }
+
+  const paused = {
+    userId: userId,
+    routeId: navigation.routeId,
+    routeName: navigation.routeName,
+    message: 'Navigation paused after an error. Resume it to carry on.'
+  };
+  io.to(userId).emit('navigation-paused', paused);
+  io.to('fleet-manager').emit('navigation-paused', paused);
+};
+
+// Rebuild timers for navigations that were running before the last shutdown
+const restoreNavigations = async () => {
+  const savedNavigations = await Navigation.find({});
+  let restored = 0;
+
+  for (const saved of savedNavigations) {
+    const storedRoute = await Route.findById(saved.routeId);
+    const route = storedRoute && await withRouteGeometry(storedRoute);
+    if (!route) {
+      console.log(`Route ${saved.routeId} for user ${saved.userId} no longer exists. Dropping saved navigation.`);
+      await Navigation.deleteOne({ _id: saved._id });
+      if (saved.tripLogId) {
+        await abortTripLog(saved.tripLogId);
+      }
+      continue;
+    }
+
+    const navigation = createNavigationState({
+      userId: saved.userId,
+      route,
+      currentIndex: saved.currentIndex,
+      status: saved.isPaused ? 'paused' : 'active',
+      startTime: saved.startTime,
+      reservePercent: saved.reservePercent ?? SOC_RESERVE_PERCENT,
+      chargingStationId: saved.chargingStationId,
+      speedFactor: saved.speedFactor || 1,
+      tripLogId: saved.tripLogId ? saved.tripLogId.toString() : null
+    });
+
+    activeNavigations.set(navigation.userId, navigation);
+    if (navigation.status === 'active') {
+      scheduleNavigation(navigation);
+    }
+    restored++;
+  }
+
+  // Routes left 'alive' without a saved navigation can never be resumed
+  const orphanedRoutes = await Route.updateMany(
+    {
+      status: 'alive',
+      _id: { $nin: savedNavigations.map(saved => saved.routeId) }
+    },
+    { status: 'dead', isActive: false }
+  );
+
+  console.log(`Restored ${restored} navigation(s), reconciled ${orphanedRoutes.modifiedCount} orphaned route(s)`);
+};
+
+// Start moving a truck along a route (shared by /startNavigation and /startSavedRoute)
+const beginNavigation = async (userId, route, { reservePercent = SOC_RESERVE_PERCENT, speedFactor = 1 } = {}) => {
+  const routeId = route._id.toString();
+
+  await Route.findByIdAndUpdate(routeId, {
+    status: 'alive',
+    isActive: true
+  });
+
+  const navigation = createNavigationState({
+    userId,
+    route,
+    reservePercent,
+    speedFactor
+  });
+  navigation.tripLogId = await startTripLog(navigation);
+
+  await Navigation.findOneAndUpdate(
+    { userId: userId },
+    {
+      userId,
+      routeId,
+      routeName: route.routeName,
+      currentIndex: 0,
+      status: 'active',
+      isPaused: false,
+      startTime: navigation.startTime,
+      reservePercent: navigation.reservePercent,
+      chargingStationId: null,
+      speedFactor: speedFactor,
+      tripLogId: navigation.tripLogId
+    },
+    { upsert: true, new: true }
+  );
+
+  await setTruckChargingStatus(userId, 'discharging');
+  scheduleNavigation(navigation);
+  activeNavigations.set(userId, navigation);
+
+  return navigation;
+};
+
+// Validate the optional navigation options sent to the start endpoints
+const parseNavigationOptions = (body) => {
+  const speedFactor = body.speedFactor !== undefined ? parseSpeedFactor(body.speedFactor) : 1;
+  if (speedFactor === null) {
+    return { error: `speedFactor must be a number between 0 and ${MAX_SPEED_FACTOR}` };
+  }
+
+  const reservePercent = body.reservePercent !== undefined ? parseFloat(body.reservePercent) : SOC_RESERVE_PERCENT;
+  if (!Number.isFinite(reservePercent) || reservePercent < 0 || reservePercent > 100) {
+    return { error: 'reservePercent must be a number between 0 and 100' };
+  }
+
+  return { speedFactor, reservePercent };
+};
+
+app.post('/startNavigation', async (req, res) => {
+  try {
+    const { userId, routeId } = req.body;
+    const { speedFactor, reservePercent, error } = parseNavigationOptions(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (activeNavigations.has(userId)) {
+      return res.status(400).json({ error: 'User already has an active navigation. Stop current navigation first.' });
+    }
+
+    const storedRoute = await Route.findById(routeId);
+    if (!storedRoute || storedRoute.userId !== userId) {
+      return res.status(404).json({ error: 'Route not found or access denied' });
+    }
+
+    const route = await withRouteGeometry(storedRoute);
+    if (!route) {
+      return res.status(404).json({ error: 'Route geometry not found' });
+    }
+
+    const navigation = await beginNavigation(userId, route, { reservePercent, speedFactor });
+
+    res.json({
+      success: true,
+      message: `Navigation started for ${route.routeName}`,
+      routeId: routeId,
+      routeName: route.routeName,
+      totalPoints: navigation.movementPoints.length,
+      speedFactor: speedFactor
+    });
+
+  } catch (error) {
+    console.error('Error starting navigation:', error);
+    res.status(500).json({ error: 'Failed to start navigation' });
+  }
+});
+
+// Routes a truck has driven before, one entry per distinct geometry
+app.get('/getSavedRoutes', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const trips = await Route.find({ userId: userId }).sort({ createdAt: -1 });
+    const savedRoutes = new Map(); // geometry route id -> saved route summary
+
+    trips.forEach(trip => {
+      const geometryRouteId = (trip.sourceRouteId || trip._id).toString();
+      if (!savedRoutes.has(geometryRouteId)) {
+        savedRoutes.set(geometryRouteId, {
+          routeId: geometryRouteId,
+          routeName: trip.routeName,
+          waypoints: trip.waypoints,
+          startCoordinates: trip.startCoordinates,
+          endCoordinates: trip.endCoordinates,
+          profile: trip.profile,
+          timesDriven: 0,
+          lastUsedAt: trip.createdAt
+        });
+      }
+      savedRoutes.get(geometryRouteId).timesDriven++;
+    });
+
+    // Diversion routes start mid-trip and are not worth offering again
+    const geometryRoutes = await Route.find({
+      _id: { $in: Array.from(savedRoutes.keys()) },
+      isDiversion: { $ne: true }
+    });
+
+    const routes = geometryRoutes.map(route => ({
+      ...savedRoutes.get(route._id.toString()),
+      totalDistance: route.features[0]?.properties?.summary?.distance || 0,
+      estimatedDuration: route.features[0]?.properties?.summary?.duration || 0
+    })).sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+    res.json({
+      success: true,
+      routes: routes,
+      count: routes.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved routes:', error);
+    res.status(500).json({ error: 'Failed to fetch saved routes' });
+  }
+});
+
+// Start navigation directly on a saved route, recording a new trip that reuses its geometry
+app.post('/startSavedRoute', async (req, res) => {
+  try {
+    const { userId, routeId, routeName } = req.body;
+    const { speedFactor, reservePercent, error } = parseNavigationOptions(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!userId || !routeId) {
+      return res.status(400).json({ error: 'userId and routeId are required' });
+    }
+
+    if (activeNavigations.has(userId)) {
+      return res.status(400).json({ error: 'User already has an active navigation. Stop current navigation first.' });
+    }
+
+    // Cached geometry is shared between trucks, so the route listed by /getSavedRoutes may have been
+    // planned by another truck; the caller may use it if one of its own trips points at it
+    const savedRoute = await Route.findById(routeId);
+    const hasDriven = savedRoute && (
+      savedRoute.userId === userId || await Route.exists({ userId: userId, sourceRouteId: savedRoute._id })
+    );
+    if (!hasDriven) {
+      return res.status(404).json({ error: 'Route not found or access denied' });
+    }
+
+    const trip = new Route({
+      userId: userId,
+      routeName: routeName || savedRoute.routeName,
+      startCoordinates: savedRoute.startCoordinates,
+      endCoordinates: savedRoute.endCoordinates,
+      waypoints: savedRoute.waypoints,
+      profile: savedRoute.profile,
+      sourceRouteId: savedRoute.sourceRouteId || savedRoute._id,
+      status: 'created',
+      isActive: false
+    });
+    await trip.save();
+
+    const route = await withRouteGeometry(trip);
+    if (!route) {
+      return res.status(404).json({ error: 'Route geometry not found' });
+    }
+
+    const navigation = await beginNavigation(userId, route, { reservePercent, speedFactor });
+
+    res.json({
+      ...buildRouteResponse(trip, route, navigation.movementPoints, []),
+      success: true,
+      message: `Navigation started for ${trip.routeName}`,
+      totalPoints: navigation.movementPoints.length,
+      speedFactor: speedFactor
+    });
+
+  } catch (error) {
+    console.error('Error starting saved route:', error);
+    res.status(500).json({ error: 'Failed to start saved route' });
+  }
+});
+
+// Stop navigation
+app.post('/stopNavigation', async (req, res) => {
+  try {
+    const { userId } = req.body;
+    
+    if (!activeNavigations.has(userId)) {
+      return res.status(404).json({ error: 'No active navigation found' });
+    }
+    
+    const navigation = activeNavigations.get(userId);
+    
+    stopNavigationTimer(navigation);
     activeNavigations.delete(userId);
     
     // Update route status to dead (stopped)
@@ -444,6 +1387,12 @@ app.post('/stopNavigation', async (req, res) => {
       status: 'dead', 
       isActive: false 
     });
+    await Navigation.deleteOne({ userId: userId });
+    // A truck stopped at a charging stop stays plugged in (or queued) until its session ends
+    if (!navigation.chargingStop) {
+      await setTruckChargingStatus(userId, 'idle');
+    }
+    await recordTripEvent(navigation, 'stop');
     
     // Notify user and fleet manager
     io.to(userId).emit('navigation-stopped', {
@@ -494,7 +1443,10 @@ app.get('/getActiveNavigation', (req, res) => {
         currentIndex: navigation.currentIndex,
         totalPoints: navigation.movementPoints.length,
         currentPosition: navigation.currentPosition,
-        startTime: navigation.startTime
+        startTime: navigation.startTime,
+        speedFactor: navigation.speedFactor,
+        guidance: getGuidance(navigation.guidanceSteps, navigation.cumulativeDistancesKm, navigation.currentIndex),
+        ...getLegProgress(navigation)
       }
     });
     
@@ -517,6 +1469,8 @@ app.get('/getLiveTracking', (req, res) => {
         currentPosition: navigation.currentPosition,
         progress: (navigation.currentIndex / navigation.movementPoints.length) * 100,
         startTime: navigation.startTime,
+        speedFactor: navigation.speedFactor,
+        ...getLegProgress(navigation),
         status: 'alive'
       });
     });
@@ -543,10 +1497,8 @@ app.post('/pauseNavigation', async (req, res) => {
     
     const navigation = activeNavigations.get(userId);
     
-    if (navigation.interval) {
-      clearInterval(navigation.interval);
-      navigation.interval = null;
-      navigation.status = 'paused';
+    if (navigation.status === 'active') {
+      await pauseNavigation(navigation);
     }
     
     res.json({ 
@@ -572,68 +1524,18 @@ app.post('/resumeNavigation', async (req, res) => {
     const navigation = activeNavigations.get(userId);
     
     if (navigation.status === 'paused') {
-      navigation.interval = setInterval(async () => {
-        if (navigation.currentIndex >= navigation.movementPoints.length) {
-          // Navigation completed
-          clearInterval(navigation.interval);
-          activeNavigations.delete(userId);
-          
-          // Update route status to dead (completed)
-          await Route.findByIdAndUpdate(navigation.routeId, { 
-            status: 'dead', 
-            isActive: false 
-          });
-          
-          // Notify user and fleet manager
-          io.to(userId).emit('navigation-completed', {
-            routeId: navigation.routeId,
-            routeName: navigation.routeName,
-            message: `Navigation completed for ${navigation.routeName}!`
-          });
-          
-          io.to('fleet-manager').emit('route-completed', {
-            userId: userId,
-            routeId: navigation.routeId,
-            routeName: navigation.routeName,
-            completedAt: new Date()
-          });
-          
-          console.log(`Navigation completed for user ${userId}, route ${navigation.routeId}`);
-          return;
-        }
-
-        const currentPosition = navigation.movementPoints[navigation.currentIndex];
-        navigation.currentPosition = currentPosition;
-        
-        const progress = (navigation.currentIndex / navigation.movementPoints.length) * 100;
-        const remainingPoints = navigation.movementPoints.length - navigation.currentIndex;
-        
-        // Emit to user
-        io.to(userId).emit('location-update', {
-          routeId: navigation.routeId,
-          routeName: navigation.routeName,
-          position: currentPosition,
-          progress: progress,
-          currentIndex: navigation.currentIndex,
-          totalPoints: navigation.movementPoints.length,
-          estimatedTimeRemaining: remainingPoints
-        });
-
-        // Emit to fleet manager for live tracking
-        io.to('fleet-manager').emit('live-location-update', {
-          userId: userId,
-          routeId: navigation.routeId,
-          routeName: navigation.routeName,
-          position: currentPosition,
-          progress: progress,
-          timestamp: new Date()
-        });
-
-        navigation.currentIndex++;
-        
-      }, 1000); // Update every second
-
+      scheduleNavigation(navigation);
       navigation.status = 'active';
+
+      await Navigation.updateOne(
+        { userId: userId },
+        { $set: { status: 'active', isPaused: false } }
+      );
+      // A truck waiting at a charging stop stays parked until the stop is over
+      if (!navigation.chargingStop) {
+        await setTruckChargingStatus(userId, 'discharging', 'idle');
+      }
+      await recordTripEvent(navigation, 'resume');
     }
     
     res.json({ 
@@ -646,11 +1548,53 @@ app.post('/resumeNavigation', async (req, res) => {
     res.status(500).json({ error: 'Failed to resume navigation' });
   }
 });
+// Change the simulation speed of a running navigation
+app.post('/setNavigationSpeed', async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const speedFactor = parseSpeedFactor(req.body.speedFactor);
+
+    if (speedFactor === null) {
+      return res.status(400).json({ error: `speedFactor must be a number between 0 and ${MAX_SPEED_FACTOR}` });
+    }
+
+    if (!activeNavigations.has(userId)) {
+      return res.status(404).json({ error: 'No active navigation found' });
+    }
+
+    const navigation = activeNavigations.get(userId);
+    navigation.speedFactor = speedFactor;
+    navigation.stepRemainder = 0;
+
+    await Navigation.updateOne(
+      { userId: userId },
+      { $set: { speedFactor: speedFactor } }
+    );
+
+    io.to('fleet-manager').emit('navigation-speed-changed', {
+      userId: userId,
+      routeId: navigation.routeId,
+      speedFactor: speedFactor
+    });
+
+    res.json({
+      success: true,
+      message: `Simulation speed set to ${speedFactor}x for ${navigation.routeName}`,
+      routeId: navigation.routeId,
+      speedFactor: speedFactor
+    });
+  } catch (error) {
+    console.error('Error setting navigation speed:', error);
+    res.status(500).json({ error: 'Failed to set navigation speed' });
+  }
+});
+
 app.get('/getRoute/:routeId', async (req, res) => {
   try {
     const { routeId } = req.params;
     
-    const route = await Route.findById(routeId);
+    const storedRoute = await Route.findById(routeId);
+    const route = storedRoute && await withRouteGeometry(storedRoute);
     if (!route) {
       return res.status(404).json({ error: 'Route not found' });
     }
@@ -669,11 +1613,508 @@ app.get('/getRoute/:routeId', async (req, res) => {
   }
 });
 
+// Recorded trips, newest first; samples are only returned for a single trip
+app.get('/getTripLogs', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    const query = userId ? { userId: userId } : {};
+
+    const tripLogs = await TripLog.find(query)
+      .sort({ startTime: -1 });
+
+    res.json({
+      success: true,
+      tripLogs: tripLogs,
+      count: tripLogs.length
+    });
+  } catch (error) {
+    console.error('Error fetching trip logs:', error);
+    res.status(500).json({ error: 'Failed to fetch trip logs' });
+  }
+});
+
+app.get('/getTripLog/:tripLogId', async (req, res) => {
+  try {
+    const tripLog = await TripLog.findById(req.params.tripLogId);
+    if (!tripLog) {
+      return res.status(404).json({ error: 'Trip log not found' });
+    }
+
+    const samples = await getTripSamples(tripLog._id);
+    res.json({ success: true, tripLog: { ...tripLog.toObject(), samples: samples } });
+  } catch (error) {
+    console.error('Error fetching trip log:', error);
+    res.status(500).json({ error: 'Failed to fetch trip log' });
+  }
+});
+
+const finishTripReplay = (replay, reason) => {
+  clearTimeout(replay.timeout);
+  activeReplays.delete(replay.replayId);
+
+  io.to('fleet-manager').emit('trip-replay-finished', {
+    replayId: replay.replayId,
+    tripLogId: replay.tripLogId,
+    reason: reason
+  });
+};
+
+// Emit the next timeline entry, then wait the recorded gap scaled by the replay speed
+const runTripReplay = (replay) => {
+  const entry = replay.timeline[replay.position];
+  const base = {
+    replayId: replay.replayId,
+    tripLogId: replay.tripLogId,
+    userId: replay.userId,
+    routeName: replay.routeName,
+    offsetMs: entry.offsetMs,
+    timestamp: new Date(replay.startTime + entry.offsetMs)
+  };
+
+  if (entry.kind === 'sample') {
+    io.to('fleet-manager').emit('trip-replay-update', {
+      ...base,
+      position: entry.data.coordinates,
+      batterySOC_percent: entry.data.soc,
+      currentIndex: entry.data.index,
+      progress: ((replay.position + 1) / replay.timeline.length) * 100
+    });
+  } else {
+    io.to('fleet-manager').emit('trip-replay-event', {
+      ...base,
+      type: entry.data.type,
+      currentIndex: entry.data.index,
+      routeId: entry.data.routeId
+    });
+  }
+
+  replay.position++;
+  const next = replay.timeline[replay.position];
+  if (!next) {
+    finishTripReplay(replay, 'finished');
+    return;
+  }
+
+  const delay = Math.max(0, (next.offsetMs - entry.offsetMs) / replay.speed);
+  replay.timeout = setTimeout(() => runTripReplay(replay), delay);
+};
+
+// Fleet Manager: replay a finished trip over Socket.IO at a chosen speed
+app.post('/replayTrip', async (req, res) => {
+  try {
+    const { tripLogId } = req.body;
+    const speed = req.body.speed !== undefined ? parseSpeedFactor(req.body.speed) : 1;
+
+    if (speed === null) {
+      return res.status(400).json({ error: `speed must be a number between 0 and ${MAX_SPEED_FACTOR}` });
+    }
+
+    const tripLog = await TripLog.findById(tripLogId);
+    if (!tripLog) {
+      return res.status(404).json({ error: 'Trip log not found' });
+    }
+
+    if (tripLog.status === 'recording') {
+      return res.status(400).json({ error: 'Only finished trips can be replayed' });
+    }
+
+    const timeline = buildReplayTimeline(tripLog, await getTripSamples(tripLog._id));
+    const replay = {
+      replayId: new mongoose.Types.ObjectId().toString(),
+      tripLogId: tripLog._id.toString(),
+      userId: tripLog.userId,
+      routeName: tripLog.routeName,
+      startTime: tripLog.startTime.getTime(),
+      speed: speed,
+      timeline: timeline,
+      position: 0,
+      timeout: null
+    };
+
+    activeReplays.set(replay.replayId, replay);
+    replay.timeout = setTimeout(() => runTripReplay(replay), 0);
+
+    const lastEntry = timeline[timeline.length - 1];
+    res.json({
+      success: true,
+      message: `Replaying ${tripLog.routeName} at ${speed}x`,
+      replayId: replay.replayId,
+      tripLogId: replay.tripLogId,
+      totalEntries: timeline.length,
+      estimatedDuration: lastEntry ? lastEntry.offsetMs / 1000 / speed : 0,
+      speed: speed
+    });
+  } catch (error) {
+    console.error('Error starting trip replay:', error);
+    res.status(500).json({ error: 'Failed to start trip replay' });
+  }
+});
+
+app.post('/stopReplay', (req, res) => {
+  try {
+    const { replayId } = req.body;
+
+    if (!activeReplays.has(replayId)) {
+      return res.status(404).json({ error: 'No active replay found' });
+    }
+
+    finishTripReplay(activeReplays.get(replayId), 'stopped');
+
+    res.json({ success: true, message: 'Replay stopped', replayId: replayId });
+  } catch (error) {
+    console.error('Error stopping trip replay:', error);
+    res.status(500).json({ error: 'Failed to stop trip replay' });
+  }
+});
+
+// Book a charging slot for a truck (drivers and fleet managers)
+app.post('/createReservation', async (req, res) => {
+  try {
+    const { stationId, userId, createdBy = 'driver' } = req.body;
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
+
+    if (!stationId || !userId || isNaN(startTime) || isNaN(endTime)) {
+      return res.status(400).json({ error: 'stationId, userId, startTime and endTime are required' });
+    }
+
+    if (endTime <= startTime) {
+      return res.status(400).json({ error: 'endTime must be after startTime' });
+    }
+
+    if (endTime <= new Date()) {
+      return res.status(400).json({ error: 'Cannot reserve a slot in the past' });
+    }
+
+    const station = await ChargingStation.findOne({ stationId: stationId });
+    if (!station) {
+      return res.status(404).json({ error: 'Charging station not found' });
+    }
+
+    const fleet = mongoose.isValidObjectId(userId) ? await Fleet.findById(userId) : null;
+    if (!fleet) {
+      return res.status(404).json({ error: 'Truck not found' });
+    }
+
+    const truck = fleet.truck.toObject();
+    if (!isStationCompatible(station, truck)) {
+      return res.status(400).json({ error: `${station.name} has no connector this truck supports` });
+    }
+
+    const connectors = getCompatibleConnectors(station, truck);
+    const { available, reason } = await checkReservationAvailability(station, userId, startTime, endTime, connectors);
+    if (!available) {
+      return res.status(409).json({ error: reason });
+    }
+
+    const reservation = new Reservation({
+      stationId: stationId,
+      stationName: station.name,
+      userId: userId,
+      connectorTypes: connectors,
+      startTime: startTime,
+      endTime: endTime,
+      createdBy: createdBy === 'fleet-manager' ? 'fleet-manager' : 'driver'
+    });
+    await reservation.save();
+
+    io.to(userId).emit('reservation-updated', reservation);
+    io.to('fleet-manager').emit('reservation-updated', reservation);
+
+    res.json({
+      success: true,
+      message: `Reserved ${station.name} from ${startTime.toLocaleString()} to ${endTime.toLocaleString()}`,
+      reservation: reservation
+    });
+  } catch (error) {
+    console.error('Error creating reservation:', error);
+    res.status(500).json({ error: 'Failed to create reservation' });
+  }
+});
+
+// Reservations filtered by station, truck and status; upcoming=true keeps slots that have not ended
+app.get('/getReservations', async (req, res) => {
+  try {
+    const { stationId, userId, status, upcoming } = req.query;
+    const query = {};
+
+    if (stationId) query.stationId = stationId;
+    if (userId) query.userId = userId;
+    if (status) query.status = { $in: status.split(',') };
+    if (upcoming === 'true') {
+      query.endTime = { $gt: new Date() };
+      query.status = query.status || { $in: ['pending', 'active'] };
+    }
+
+    const reservations = await Reservation.find(query).sort({ startTime: 1 });
+
+    res.json({
+      success: true,
+      reservations: reservations,
+      count: reservations.length
+    });
+  } catch (error) {
+    console.error('Error fetching reservations:', error);
+    res.status(500).json({ error: 'Failed to fetch reservations' });
+  }
+});
+
+app.post('/cancelReservation', async (req, res) => {
+  try {
+    const { reservationId } = req.body;
+
+    const reservation = mongoose.isValidObjectId(reservationId) ? await Reservation.findById(reservationId) : null;
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+
+    if (!['pending', 'active'].includes(reservation.status)) {
+      return res.status(400).json({ error: `Reservation is already ${reservation.status}` });
+    }
+
+    reservation.status = 'cancelled';
+    reservation.cancelledAt = new Date();
+    await reservation.save();
+
+    io.to(reservation.userId).emit('reservation-updated', reservation);
+    io.to('fleet-manager').emit('reservation-updated', reservation);
+
+    res.json({ success: true, message: 'Reservation cancelled', reservation: reservation });
+  } catch (error) {
+    console.error('Error cancelling reservation:', error);
+    res.status(500).json({ error: 'Failed to cancel reservation' });
+  }
+});
+
+// Live port usage and queue for one or more stations (stationIds is comma separated)
+app.get('/getStationOccupancy', async (req, res) => {
+  try {
+    const { stationIds, userId } = req.query;
+
+    if (!stationIds) {
+      return res.status(400).json({ error: 'stationIds is required' });
+    }
+
+    const stations = await ChargingStation.find({ stationId: { $in: stationIds.split(',') } });
+    const fleet = userId && mongoose.isValidObjectId(userId) ? await Fleet.findById(userId) : null;
+    const occupancy = await getStationsOccupancy(stations, fleet ? fleet.truck.toObject() : null);
+
+    res.json({
+      success: true,
+      occupancy: Object.fromEntries(occupancy)
+    });
+  } catch (error) {
+    console.error('Error fetching station occupancy:', error);
+    res.status(500).json({ error: 'Failed to fetch station occupancy' });
+  }
+});
+
+app.post('/joinStationQueue', async (req, res) => {
+  try {
+    const { stationId, userId } = req.body;
+
+    const station = await ChargingStation.findOne({ stationId: stationId });
+    if (!station) {
+      return res.status(404).json({ error: 'Charging station not found' });
+    }
+
+    const fleet = mongoose.isValidObjectId(userId) ? await Fleet.findById(userId) : null;
+    if (!fleet) {
+      return res.status(404).json({ error: 'Truck not found' });
+    }
+
+    const truck = fleet.truck.toObject();
+    if (!isStationCompatible(station, truck)) {
+      return res.status(400).json({ error: `${station.name} has no connector this truck supports` });
+    }
+
+    const { queuePosition, estimatedWaitMinutes } = await joinStationQueue(station, userId, getCompatibleConnectors(station, truck));
+
+    res.json({
+      success: true,
+      message: `Queued at ${station.name}, position ${queuePosition}`,
+      stationId: stationId,
+      queuePosition: queuePosition,
+      estimatedWaitMinutes: estimatedWaitMinutes
+    });
+  } catch (error) {
+    console.error('Error joining station queue:', error);
+    res.status(500).json({ error: 'Failed to join station queue' });
+  }
+});
+
+app.post('/leaveStationQueue', async (req, res) => {
+  try {
+    const { stationId, userId } = req.body;
+
+    const entry = await StationQueue.findOneAndUpdate(
+      { stationId: stationId, userId: userId, status: 'waiting' },
+      { status: 'left', leftAt: new Date() },
+      { new: true }
+    );
+    if (!entry) {
+      return res.status(404).json({ error: 'Truck is not queued at this station' });
+    }
+
+    res.json({ success: true, message: 'Left the queue', stationId: stationId });
+  } catch (error) {
+    console.error('Error leaving station queue:', error);
+    res.status(500).json({ error: 'Failed to leave station queue' });
+  }
+});
+
+// A driver reports what they found at a station; the station's reliability score is updated straight away
+app.post('/reportStationStatus', async (req, res) => {
+  try {
+    const { stationId, userId, status, note } = req.body;
+
+    if (!stationId || !userId || !status) {
+      return res.status(400).json({ error: 'stationId, userId and status are required' });
+    }
+
+    if (!StationReport.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ error: 'status must be working, broken, occupied or blocked' });
+    }
+
+    const station = await ChargingStation.findOne({ stationId: stationId });
+    if (!station) {
+      return res.status(404).json({ error: 'Charging station not found' });
+    }
+
+    const fleet = mongoose.isValidObjectId(userId) ? await Fleet.findById(userId) : null;
+    if (!fleet) {
+      return res.status(404).json({ error: 'Truck not found' });
+    }
+
+    const { report, reliability } = await recordStationReport(station, userId, status, note);
+
+    io.to('fleet-manager').emit('station-reported', { report, reliability });
+
+    res.json({
+      success: true,
+      message: `Thanks, ${station.name} reported as ${status}`,
+      report: report,
+      reliability: reliability
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error reporting station status:', error);
+    res.status(500).json({ error: 'Failed to report station status' });
+  }
+});
+
+// Recent driver reports, newest first; problemsOnly=true keeps broken and blocked ones
+app.get('/getStationReports', async (req, res) => {
+  try {
+    const { stationId, status, problemsOnly, sinceHours = 72, limit = 50 } = req.query;
+    const query = {
+      reportedAt: { $gte: new Date(Date.now() - parseFloat(sinceHours) * 3600000) }
+    };
+
+    if (stationId) query.stationId = stationId;
+    if (status) query.status = { $in: status.split(',') };
+    if (problemsOnly === 'true') query.status = { $in: PROBLEM_STATUSES };
+
+    const reports = await StationReport.find(query)
+      .sort({ reportedAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 50, 200))
+      .lean();
+
+    // Current score next to each report so managers see whether the problem persists
+    const stations = await ChargingStation.find(
+      { stationId: { $in: [...new Set(reports.map(report => report.stationId))] } },
+      'stationId reliability isOperational'
+    ).lean();
+    const stationsById = new Map(stations.map(station => [station.stationId, station]));
+    reports.forEach(report => {
+      const station = stationsById.get(report.stationId);
+      report.reliabilityScore = station?.reliability?.score ?? null;
+      report.isOperational = station?.isOperational ?? null;
+    });
+
+    res.json({
+      success: true,
+      reports: reports,
+      count: reports.length
+    });
+  } catch (error) {
+    console.error('Error fetching station reports:', error);
+    res.status(500).json({ error: 'Failed to fetch station reports' });
+  }
+});
+
+// Push occupancy of stations in use (and of stations that just emptied) when it changes
+const broadcastStationOccupancy = async () => {
+  try {
+    const [sessionStationIds, queueStationIds] = await Promise.all([
+      ChargingSession.distinct('stationId', { status: 'active', stationId: { $ne: null } }),
+      StationQueue.distinct('stationId', { status: 'waiting' })
+    ]);
+    const stationIds = [...new Set([...sessionStationIds, ...queueStationIds, ...lastOccupancy.keys()])];
+    if (stationIds.length === 0) {
+      return;
+    }
+
+    const stations = await ChargingStation.find({ stationId: { $in: stationIds } });
+    const occupancy = await getStationsOccupancy(stations);
+
+    occupancy.forEach((stationOccupancy, stationId) => {
+      const serialized = JSON.stringify(stationOccupancy);
+      if (lastOccupancy.get(stationId) === serialized) {
+        return;
+      }
+
+      io.emit('station-occupancy-updated', { stationId: stationId, occupancy: stationOccupancy });
+      if (stationOccupancy.busyPorts === 0 && stationOccupancy.queueLength === 0) {
+        lastOccupancy.delete(stationId);
+      } else {
+        lastOccupancy.set(stationId, serialized);
+      }
+    });
+  } catch (error) {
+    console.error('Error broadcasting station occupancy:', error);
+  }
+};
+
+// Honour arrivals, mark no-shows and close finished slots
+const runReservationChecks = async () => {
+  try {
+    const changed = await processReservations();
+    changed.forEach(reservation => {
+      io.to(reservation.userId).emit('reservation-updated', reservation);
+      io.to('fleet-manager').emit('reservation-updated', reservation);
+      console.log(`Reservation ${reservation._id} at ${reservation.stationId} is now ${reservation.status}`);
+    });
+  } catch (error) {
+    console.error('Error processing reservations:', error);
+  }
+};
+
+// Let reliability scores decay between reports
+const runReliabilityRefresh = async () => {
+  try {
+    await refreshReliabilityScores();
+  } catch (error) {
+    console.error('Error refreshing station reliability:', error);
+  }
+};
+
 const startServer = async () => {
   try {
     await connectDB();
+    try {
+      await restoreNavigations();
+    } catch (error) {
+      console.error('Error restoring saved navigations:', error);
+    }
+    reservationInterval = setInterval(runReservationChecks, 30000);
+    occupancyInterval = setInterval(broadcastStationOccupancy, 5000);
+    reliabilityInterval = setInterval(runReliabilityRefresh, 10 * 60000);
     server.listen(PORT2, () => {
       console.log(`The backend has been running on server ${PORT2}`);
+      console.log(`Routing provider: ${routingProvider.name}`);
     });
   } catch (err) {
     console.error("Error starting server:", err);
@@ -683,11 +2124,20 @@ const startServer = async () => {
 
 process.on('SIGINT', async () => {
   // Clean up all active navigations
-  activeNavigations.forEach((navigation, userId) => {
-    if (navigation.interval) {
-      clearInterval(navigation.interval);
+  activeNavigations.forEach(stopNavigationTimer);
+  activeReplays.forEach(replay => clearTimeout(replay.timeout));
+  clearInterval(reservationInterval);
+  clearInterval(occupancyInterval);
+  clearInterval(reliabilityInterval);
+
+  // Keep the breadcrumbs recorded since the last batch
+  for (const navigation of activeNavigations.values()) {
+    try {
+      await flushTripSamples(navigation);
+    } catch (error) {
+      console.error(`Error flushing trip samples for user ${navigation.userId}:`, error);
     }
-  });
+  }
   
   await mongoose.connection.close();
   console.log("MongoDB connection closed");
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import useMqttFleetUpdates from './useMqttFleetUpdates';
 
 // Custom icons
 const truckIcon = new L.divIcon({
@@ -28,6 +29,9 @@ const liveMarkerIcon = new L.divIcon({
   popupAnchor: [0, -10]
 });
 
+const COMMAND_STATUS_LABELS = { pending: 'PENDING', ack: 'CONFIRMED', nack: 'REJECTED' };
+const COMMAND_STATUS_COLORS = { pending: '#9e9e9e', ack: '#4caf50', nack: '#f44336' };
+
 const FleetManager = () => {
   const [liveRoutes, setLiveRoutes] = useState([]);
   const [fleetData, setFleetData] = useState([]);
@@ -35,6 +39,10 @@ const FleetManager = () => {
   const [loading, setLoading] = useState(true);
   const [routeGeometries, setRouteGeometries] = useState({});
   const [loadingRoutes, setLoadingRoutes] = useState(new Set());
+  const [reservations, setReservations] = useState([]);
+  const [stationReports, setStationReports] = useState([]);
+  // Commands sent to trucks over MQTT, with the trucks' acks
+  const { commands } = useMqttFleetUpdates();
   
   // Cache to avoid refetching route geometries
   const routeGeometryCache = useRef({});
@@ -68,6 +76,20 @@ const FleetManager = () => {
       const facilitiesData = await facilitiesResponse.json();
       setFacilities(Array.isArray(facilitiesData) ? facilitiesData : []);
 
+      // Fetch upcoming charging reservations
+      const reservationsResponse = await fetch('http://localhost:5001/getReservations?upcoming=true');
+      const reservationsData = await reservationsResponse.json();
+      if (reservationsData.success) {
+        setReservations(reservationsData.reservations);
+      }
+
+      // Fetch recent driver-reported station problems
+      const reportsResponse = await fetch('http://localhost:5001/getStationReports?problemsOnly=true');
+      const reportsData = await reportsResponse.json();
+      if (reportsData.success) {
+        setStationReports(reportsData.reports);
+      }
+
       setLoading(false);
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -154,6 +176,24 @@ const FleetManager = () => {
     });
   };
 
+  const cancelReservation = async (reservationId) => {
+    try {
+      await fetch('http://localhost:5001/cancelReservation', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reservationId })
+      });
+      setReservations(prev => prev.filter(reservation => reservation._id !== reservationId));
+    } catch (error) {
+      console.error('Error cancelling reservation:', error);
+    }
+  };
+
+  const getTruckName = (userId) => {
+    const fleet = fleetData.find(f => f._id === userId);
+    return fleet ? fleet.name : userId;
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'charging': return '#4caf50';
@@ -281,9 +321,9 @@ const FleetManager = () => {
                           <>
                             <p><strong>Vehicle:</strong> {fleet.truck.make} {fleet.truck.model}</p>
                             <p><strong>Battery SOC:</strong> {fleet.truck.batterySOC_percent}%</p>
-                            <p><strong>Range:</strong> {fleet.truck.range_km} km</p>
+                            <p><strong>Range:</strong> {Math.round(fleet.truck.range_km)} km</p>
                             <p><strong>Status:</strong> {fleet.truck.chargingStatus}</p>
-                            <p><strong>Temperature:</strong> {fleet.truck.batteryTemperature_C}°C</p>
+                            <p><strong>Temperature:</strong> {Number(fleet.truck.batteryTemperature_C).toFixed(1)}°C</p>
                           </>
                         )}
                       </div>
@@ -344,6 +384,7 @@ const FleetManager = () => {
                         <h3>🔴 LIVE: {route.routeName}</h3>
                         <p><strong>User:</strong> {route.userId}</p>
                         <p><strong>Progress:</strong> {route.progress?.toFixed(1) || 0}%</p>
+                        <p><strong>Sim Speed:</strong> {route.speedFactor || 1}x</p>
                         <p><strong>Position:</strong> [{lng.toFixed(4)}, {lat.toFixed(4)}]</p>
                         <p><strong>Started:</strong> {route.startTime ? new Date(route.startTime).toLocaleTimeString() : 'N/A'}</p>
                         <div style={{ 
@@ -400,9 +441,14 @@ const FleetManager = () => {
                 <p style={{ margin: '4px 0', color: '#666', fontSize: '14px' }}>
                   User: {route.userId}
                 </p>
+                {route.totalLegs > 1 && (
+                  <p style={{ margin: '4px 0', color: '#666', fontSize: '14px' }}>
+                    Leg {route.legIndex + 1} of {route.totalLegs}{route.nextStop?.name ? ` → ${route.nextStop.name}` : ''}
+                  </p>
+                )}
                 <div style={{ marginTop: '12px' }}>
                   <p style={{ margin: '0 0 4px 0', fontSize: '14px' }}>
-                    Progress: {route.progress ? route.progress.toFixed(1) : '0.0'}%
+                    Progress: {route.progress ? route.progress.toFixed(1) : '0.0'}% · Sim speed: {route.speedFactor || 1}x
                   </p>
                   <div style={progressBarStyle}>
                     <div style={progressFillStyle(route.progress || 0, getRouteColor(route.routeId, index))}></div>
@@ -461,14 +507,16 @@ const FleetManager = () => {
                     
                     <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '12px' }}>
                       <p style={{ margin: 0, fontSize: '14px' }}>
-                        Range: {fleet.truck.range_km} km
+                        Range: {Math.round(fleet.truck.range_km)} km
                       </p>
                       <p style={{ margin: 0, fontSize: '14px' }}>
-                        Temp: {fleet.truck.batteryTemperature_C}°C
+                        Temp: {Number(fleet.truck.batteryTemperature_C).toFixed(1)}°C
                       </p>
                     </div>
                     <p style={{ margin: '8px 0 4px 0', fontSize: '14px' }}>
                       Battery: {fleet.truck.batterySize_kWh} kWh
+                      {typeof fleet.truck.stateOfHealth_percent === 'number' &&
+                        ` · Health ${fleet.truck.stateOfHealth_percent.toFixed(2)}% · ${(fleet.truck.cycleCount || 0).toFixed(1)} cycles`}
                     </p>
                   </>
                 )}
@@ -483,6 +531,133 @@ const FleetManager = () => {
           )}
         </div>
       </div>
+
+      {/* Upcoming Charging Reservations */}
+      <div style={{ ...cardStyle, marginTop: '20px' }}>
+        <h2 style={{ margin: '0 0 20px 0', color: '#333' }}>
+          Upcoming Charging Bookings ({reservations.length})
+        </h2>
+
+        {reservations.length === 0 ? (
+          <p style={{ color: '#666' }}>No upcoming bookings</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>Station</th>
+                <th style={{ padding: '8px' }}>Truck</th>
+                <th style={{ padding: '8px' }}>From</th>
+                <th style={{ padding: '8px' }}>To</th>
+                <th style={{ padding: '8px' }}>Status</th>
+                <th style={{ padding: '8px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {reservations.map(reservation => (
+                <tr key={reservation._id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>{reservation.stationName || reservation.stationId}</td>
+                  <td style={{ padding: '8px' }}>{getTruckName(reservation.userId)}</td>
+                  <td style={{ padding: '8px' }}>{new Date(reservation.startTime).toLocaleString()}</td>
+                  <td style={{ padding: '8px' }}>{new Date(reservation.endTime).toLocaleTimeString()}</td>
+                  <td style={{ padding: '8px' }}>
+                    <span style={chipStyle(reservation.status === 'active' ? '#4caf50' : '#2196f3')}>
+                      {reservation.status.toUpperCase()}
+                    </span>
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>
+                    <button
+                      onClick={() => cancelReservation(reservation._id)}
+                      style={{ padding: '4px 10px', border: '1px solid #f44336', color: '#f44336', background: 'white', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                      Cancel
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Recently reported station problems */}
+      <div style={{ ...cardStyle, marginTop: '20px' }}>
+        <h2 style={{ margin: '0 0 20px 0', color: '#333' }}>
+          Reported Station Problems ({stationReports.length})
+        </h2>
+
+        {stationReports.length === 0 ? (
+          <p style={{ color: '#666' }}>No problems reported in the last 3 days</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>Station</th>
+                <th style={{ padding: '8px' }}>Problem</th>
+                <th style={{ padding: '8px' }}>Note</th>
+                <th style={{ padding: '8px' }}>Reported by</th>
+                <th style={{ padding: '8px' }}>When</th>
+                <th style={{ padding: '8px' }}>Reliability</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stationReports.map(report => (
+                <tr key={report._id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>{report.stationName || report.stationId}</td>
+                  <td style={{ padding: '8px' }}>
+                    <span style={chipStyle(report.status === 'broken' ? '#f44336' : '#ff9800')}>
+                      {report.status.toUpperCase()}
+                    </span>
+                  </td>
+                  <td style={{ padding: '8px', color: '#666' }}>{report.note || '-'}</td>
+                  <td style={{ padding: '8px' }}>{getTruckName(report.userId)}</td>
+                  <td style={{ padding: '8px' }}>{new Date(report.reportedAt).toLocaleString()}</td>
+                  <td style={{ padding: '8px' }}>
+                    {report.reliabilityScore !== null ? `${report.reliabilityScore}%` : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Commands sent to trucks and whether they confirmed them */}
+      <div style={{ ...cardStyle, marginTop: '20px' }}>
+        <h2 style={{ margin: '0 0 20px 0', color: '#333' }}>
+          Vehicle Commands ({commands.filter(entry => entry.status === 'pending').length} pending)
+        </h2>
+
+        {commands.length === 0 ? (
+          <p style={{ color: '#666' }}>No commands sent since this page was opened</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>Truck</th>
+                <th style={{ padding: '8px' }}>Command</th>
+                <th style={{ padding: '8px' }}>Parameters</th>
+                <th style={{ padding: '8px' }}>State</th>
+                <th style={{ padding: '8px' }}>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {commands.map(entry => (
+                <tr key={entry.correlationId} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>{getTruckName(entry.vehicleId)}</td>
+                  <td style={{ padding: '8px' }}>{entry.command}</td>
+                  <td style={{ padding: '8px', color: '#666' }}>{entry.params ? JSON.stringify(entry.params) : '-'}</td>
+                  <td style={{ padding: '8px' }}>
+                    <span style={chipStyle(COMMAND_STATUS_COLORS[entry.status])}>
+                      {COMMAND_STATUS_LABELS[entry.status]}
+                    </span>
+                  </td>
+                  <td style={{ padding: '8px', color: '#666' }}>{entry.reason || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
     </div>
   );
 };
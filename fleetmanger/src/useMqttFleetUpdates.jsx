@@ -1,9 +1,51 @@
-
 import { useState, useEffect } from 'react';
-import mqtt from 'mqtt'; 
+import mqtt from 'mqtt';
+
+// Payload schema this hook understands; see backend/FleetTopics.js for the topic tree
+const SCHEMA_VERSION = 1;
+const FLEET_TOPICS = ['fleet/+/telemetry/+', 'fleet/+/status', 'fleet/+/cmd', 'fleet/+/cmd/ack'];
+const SIMULATOR_STATUS_TOPIC = 'simulator/status';
+// Commands kept for display, newest first
+const MAX_COMMANDS = 20;
+
+// Track a command from when it is sent (pending) to the vehicle's ack or nack
+const recordCommand = (commands, vehicleId, kind, payload) => {
+  const existing = commands.find(entry => entry.correlationId === payload.correlationId);
+  const entry = kind === 'cmd'
+    ? { vehicleId, correlationId: payload.correlationId, command: payload.command, params: payload.params, status: 'pending', sentAt: payload.sentAt }
+    : { vehicleId, correlationId: payload.correlationId, command: payload.command, status: payload.status, reason: payload.reason, answeredAt: payload.sentAt };
+
+  // A redelivered command must not turn an answered one back to pending
+  if (existing) {
+    return commands.map(item => (item === existing
+      ? { ...existing, ...(kind === 'cmd' ? {} : entry) }
+      : item));
+  }
+  return [entry, ...commands].slice(0, MAX_COMMANDS);
+};
 
+// Turn a message into a partial truck: { _id, truck?, location? }
+const toTruckUpdate = (topic, payload) => {
+  const [, vehicleId, kind, subKind] = topic.split('/');
+
+  if (kind === 'telemetry' && subKind === 'battery') {
+    return { _id: vehicleId, truck: payload.data };
+  }
+  if (kind === 'telemetry' && subKind === 'location') {
+    return { _id: vehicleId, location: payload.data };
+  }
+  if (kind === 'status') {
+    return { _id: vehicleId, truck: { chargingStatus: payload.data.chargingStatus } };
+  }
+  return null;
+};
+
+// Latest MQTT state per truck ({ [id]: { _id, truck, location } }), merged from the separate topics.
+// Kept as a whole so updates for many trucks arriving in one render are not lost
 const useMqttFleetUpdates = () => {
-  const [latestTruckUpdate, setLatestTruckUpdate] = useState(null);
+  const [truckUpdates, setTruckUpdates] = useState({});
+  const [simulatorOnline, setSimulatorOnline] = useState(null);
+  const [commands, setCommands] = useState([]);
 
   useEffect(() => {
 
@@ -11,9 +53,9 @@ const useMqttFleetUpdates = () => {
 
     client.on('connect', () => {
       console.log('MQTT: Connected to broker via WebSockets');
-      client.subscribe('fleet/+/data', (err) => {
+      client.subscribe([...FLEET_TOPICS, SIMULATOR_STATUS_TOPIC], { qos: 1 }, (err) => {
         if (!err) {
-          console.log('MQTT: Subscribed to fleet/+/data');
+          console.log(`MQTT: Subscribed to ${[...FLEET_TOPICS, SIMULATOR_STATUS_TOPIC].join(', ')}`);
         } else {
           console.error('MQTT: Subscription error:', err);
         }
@@ -21,11 +63,47 @@ const useMqttFleetUpdates = () => {
     });
 
     client.on('message', (topic, message) => {
+      // An empty retained message clears the topic; on the status topic it means the truck was removed
+      if (message.length === 0) {
+        const [, vehicleId, kind] = topic.split('/');
+        if (kind === 'status') {
+          setTruckUpdates(prev => {
+            const { [vehicleId]: removed, ...rest } = prev;
+            return removed ? rest : prev;
+          });
+        }
+        return;
+      }
 
       try {
-        const updatedTruck = JSON.parse(message.toString());
-        
-        setLatestTruckUpdate(updatedTruck); 
+        const payload = JSON.parse(message.toString());
+        if (payload.schemaVersion !== SCHEMA_VERSION) {
+          console.warn(`MQTT: Ignoring ${topic} with schema version ${payload.schemaVersion}`);
+          return;
+        }
+
+        if (topic === SIMULATOR_STATUS_TOPIC) {
+          setSimulatorOnline(payload.state === 'online');
+          return;
+        }
+
+        const [, vehicleId, kind, subKind] = topic.split('/');
+        if (kind === 'cmd') {
+          setCommands(prev => recordCommand(prev, vehicleId, subKind === 'ack' ? 'ack' : 'cmd', payload));
+          return;
+        }
+
+        const update = toTruckUpdate(topic, payload);
+        if (update) {
+          setTruckUpdates(prev => ({
+            ...prev,
+            [update._id]: {
+              _id: update._id,
+              truck: { ...prev[update._id]?.truck, ...update.truck },
+              location: update.location || prev[update._id]?.location
+            }
+          }));
+        }
       } catch (parseError) {
         console.error('MQTT: Error parsing message:', parseError);
       }
@@ -43,15 +121,14 @@ const useMqttFleetUpdates = () => {
     client.on('offline', () => {
       console.log('MQTT: Client went offline.');
     });
+    // Also ends a client that is still connecting or reconnecting
     return () => {
-      if (client.connected) {
-        console.log('MQTT: Disconnecting client.');
-        client.end();
-      }
+      console.log('MQTT: Disconnecting client.');
+      client.end();
     };
   }, []);
 
-  return latestTruckUpdate; 
+  return { truckUpdates, simulatorOnline, commands };
 };
 
 export default useMqttFleetUpdates;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import MapComponent from './MapComponent.jsx';
 import WebSocketHandler from './WebSocketHandler.jsx';
 import axios from 'axios';
@@ -19,6 +19,18 @@ import {
 } from '@mui/material';
 import useMqttFleetUpdates from './useMqttFleetUpdates';
 
+const SPEED_OPTIONS = [1, 10, 60, 300];
+
+const COMMAND_STATUS_LABELS = { pending: 'pending', ack: 'confirmed', nack: 'rejected' };
+const COMMAND_STATUS_COLORS = { pending: 'text.secondary', ack: 'success.main', nack: 'error.main' };
+
+// Lay the latest MQTT state of a truck over the one fetched from the API
+const applyTruckUpdate = (truck, update) => (update ? {
+  ...truck,
+  location: update.location || truck.location,
+  truck: { ...truck.truck, ...update.truck }
+} : truck);
+
 const MainLayout = () => {
   const [fleetData, setFleetData] = useState([]);
   const [facilityData, setFacilityData] = useState([]);
@@ -32,8 +44,14 @@ const MainLayout = () => {
   const [navigationPaused, setNavigationPaused] = useState(false);
   const [navigationData, setNavigationData] = useState(null);
   const [livePosition, setLivePosition] = useState(null);
+  const [diversionNotice, setDiversionNotice] = useState(null);
+  const [plannedStops, setPlannedStops] = useState([]);
+  const [speedFactor, setSpeedFactor] = useState(1);
+  const [showAllChargers, setShowAllChargers] = useState(false);
+  const [viewportStations, setViewportStations] = useState(null);
+  const viewportRequestRef = useRef(0);
 
-  const latestTruckUpdate = useMqttFleetUpdates();
+  const { truckUpdates, simulatorOnline, commands } = useMqttFleetUpdates();
 
   useEffect(() => {
     const fetchData = async () => {
@@ -85,13 +103,19 @@ const MainLayout = () => {
           if (response.data.activeNavigation) {
             const activeNav = response.data.activeNavigation;
             setNavigationActive(true);
+            setNavigationPaused(activeNav.status === 'paused');
+            setSpeedFactor(activeNav.speedFactor || 1);
             setNavigationData({
               routeId: activeNav.routeId,
               routeName: activeNav.routeName,
               progress: activeNav.progress,
               currentIndex: activeNav.currentIndex,
               totalPoints: activeNav.totalPoints,
-              timeRemaining: (activeNav.totalPoints - activeNav.currentIndex)
+              timeRemaining: (activeNav.totalPoints - activeNav.currentIndex) / (activeNav.speedFactor || 1),
+              legIndex: activeNav.legIndex,
+              totalLegs: activeNav.totalLegs,
+              nextStop: activeNav.nextStop,
+              guidance: activeNav.guidance
             });
             setLivePosition(activeNav.currentPosition);
           }
@@ -105,21 +129,14 @@ const MainLayout = () => {
   }, [selectedTruck]);
 
   useEffect(() => {
-    if (latestTruckUpdate) {
-      setFleetData(prevFleetData => {
-        const updatedFleet = prevFleetData.map(truck =>
-          truck._id === latestTruckUpdate._id ? latestTruckUpdate : truck
-        );
-        return updatedFleet;
-      });
+    setFleetData(prevFleetData =>
+      prevFleetData.map(truck => applyTruckUpdate(truck, truckUpdates[truck._id]))
+    );
 
-      setSelectedTruck(prevSelectedTruck =>
-        prevSelectedTruck && prevSelectedTruck._id === latestTruckUpdate._id
-          ? latestTruckUpdate
-          : prevSelectedTruck
-      );
-    }
-  }, [latestTruckUpdate]);
+    setSelectedTruck(prevSelectedTruck =>
+      prevSelectedTruck ? applyTruckUpdate(prevSelectedTruck, truckUpdates[prevSelectedTruck._id]) : prevSelectedTruck
+    );
+  }, [truckUpdates]);
 
   const handleTruckChange = (event) => {
     const truckId = event.target.value;
@@ -130,13 +147,15 @@ const MainLayout = () => {
     setNavigationPaused(false);
     setNavigationData(null);
     setLivePosition(null);
+    setPlannedStops([]);
   };
 
   const handleChangeStatus = async (status) => {
     if (!selectedTruck) return;
 
     try {
-      await axios.patch(`http://localhost:5000/updateStatus`, {
+      // Answers once the vehicle has acknowledged the command
+      const response = await axios.patch(`http://localhost:5000/updateStatus`, {
         userId: selectedTruck._id,
         chargingStatus: status
       });
@@ -145,12 +164,12 @@ const MainLayout = () => {
         ...prevTruck,
         truck: {
           ...prevTruck.truck,
-          chargingStatus: status
+          chargingStatus: response.data.fleet.truck.chargingStatus
         }
       }));
     } catch (err) {
       console.error('Error updating charging status:', err);
-      setError('Failed to update charging status');
+      setError(err.response?.data?.error || 'Failed to update charging status');
     }
   };
 
@@ -181,13 +200,114 @@ const MainLayout = () => {
     }
   };
 
+  const handleAddStop = (facility) => {
+    setPlannedStops(prevStops =>
+      prevStops.some(stop => stop._id === facility._id) ? prevStops : [...prevStops, facility]
+    );
+  };
+
+  const handleReserveStation = async (station, startTime, endTime) => {
+    if (!selectedTruck) return null;
+
+    try {
+      const response = await axios.post('http://localhost:5001/createReservation', {
+        stationId: station.stationId,
+        userId: selectedTruck._id,
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        createdBy: 'driver'
+      });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      console.error('Error reserving charging station:', error);
+      return { success: false, message: error.response?.data?.error || 'Failed to reserve charging slot' };
+    }
+  };
+
+  const handleReportStation = async (station, status, note) => {
+    if (!selectedTruck) return null;
+
+    try {
+      const response = await axios.post('http://localhost:5001/reportStationStatus', {
+        stationId: station.stationId,
+        userId: selectedTruck._id,
+        status,
+        note: note || undefined
+      });
+
+      // Show the new score in the popup straight away
+      const { reliability } = response.data;
+      const withReliability = item => item.stationId === station.stationId ? { ...item, reliability } : item;
+      setRouteData(prev => prev?.chargingStations ? { ...prev, chargingStations: prev.chargingStations.map(withReliability) } : prev);
+      setViewportStations(prev => prev?.stations ? { ...prev, stations: prev.stations.map(withReliability) } : prev);
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      console.error('Error reporting station status:', error);
+      return { success: false, message: error.response?.data?.error || 'Failed to report station status' };
+    }
+  };
+
+  const handleViewportChange = useCallback(async (bounds, zoom) => {
+    // Only the latest pan/zoom may update the layer
+    const requestId = ++viewportRequestRef.current;
+    try {
+      const response = await axios.get('http://localhost:5001/getStationsInView', {
+        params: { ...bounds, zoom, userId: selectedTruck?._id }
+      });
+      if (requestId === viewportRequestRef.current) {
+        setViewportStations(response.data);
+      }
+    } catch (err) {
+      console.error('Error fetching stations in view:', err);
+    }
+  }, [selectedTruck?._id]);
+
+  const handleToggleAllChargers = () => {
+    setShowAllChargers(prev => !prev);
+    setViewportStations(null);
+  };
+
+  const handleGetMultiStopRoute = async () => {
+    if (!selectedTruck || plannedStops.length === 0) return;
+
+    const startPosition = livePosition || selectedTruck.location?.coordinates;
+    if (!startPosition) return;
+
+    setRouteLoading(true);
+    try {
+      const waypoints = [
+        { lat: startPosition[1], lng: startPosition[0], type: 'start' },
+        ...plannedStops.map(stop => ({ facilityId: stop._id }))
+      ];
+
+      const response = await axios.get('http://localhost:5001/getRoute', {
+        params: {
+          waypoints: JSON.stringify(waypoints),
+          userId: selectedTruck._id,
+          routeName: plannedStops.map(stop => stop.title).join(' → ')
+        }
+      });
+
+      setRouteData(response.data);
+      setPlannedStops([]);
+      console.log('Multi-stop route data received:', response.data);
+    } catch (err) {
+      console.error('Error getting multi-stop route:', err);
+      setError('Failed to get route');
+    } finally {
+      setRouteLoading(false);
+    }
+  };
+
   const handleStartNavigation = async () => {
     if (!routeData || !selectedTruck) return;
 
     try {
       const response = await axios.post('http://localhost:5001/startNavigation', {
         userId: selectedTruck._id,
-        routeId: routeData.routeId
+        routeId: routeData.routeId,
+        speedFactor
       });
 
       setNavigationActive(true);
@@ -198,9 +318,11 @@ const MainLayout = () => {
         totalDistance: routeData.totalDistance,
         estimatedDuration: routeData.estimatedDuration,
         progress: 0,
-        timeRemaining: routeData.estimatedDuration,
+        timeRemaining: routeData.estimatedDuration / speedFactor,
         totalPoints: routeData.movementPoints?.length || 0,
-        currentIndex: 0
+        currentIndex: 0,
+        legIndex: 0,
+        totalLegs: routeData.legs?.length || 1
       });
       console.log('Navigation started:', response.data);
     } catch (err) {
@@ -209,6 +331,23 @@ const MainLayout = () => {
     }
   };
 
+  const handleSpeedChange = async (event) => {
+    const newSpeedFactor = event.target.value;
+    setSpeedFactor(newSpeedFactor);
+
+    if (!navigationActive || !selectedTruck) return;
+
+    try {
+      await axios.post('http://localhost:5001/setNavigationSpeed', {
+        userId: selectedTruck._id,
+        speedFactor: newSpeedFactor
+      });
+    } catch (err) {
+      console.error('Error changing simulation speed:', err);
+      setError('Failed to change simulation speed');
+    }
+  };
+
   const handlePauseNavigation = async () => {
     if (!selectedTruck) return;
 
@@ -264,15 +403,65 @@ const MainLayout = () => {
       ...prev,
       progress: data.progress,
       timeRemaining: data.estimatedTimeRemaining,
-      currentIndex: data.currentIndex
+      speedFactor: data.speedFactor,
+      currentIndex: data.currentIndex,
+      legIndex: data.legIndex,
+      totalLegs: data.totalLegs,
+      nextStop: data.nextStop,
+      guidance: data.guidance
     } : null);
   };
 
+  const handleChargingDiversion = (data) => {
+    setRouteData(data.route);
+    setNavigationData(prev => prev ? {
+      ...prev,
+      routeId: data.routeId,
+      routeName: data.routeName,
+      totalDistance: data.route.totalDistance,
+      estimatedDuration: data.route.estimatedDuration,
+      totalPoints: data.route.movementPoints?.length || 0,
+      currentIndex: 0
+    } : null);
+    setDiversionNotice(data.message);
+  };
+
+  const handleChargingStop = (data) => {
+    setDiversionNotice(data.message);
+  };
+
+  const handleNavigationPaused = (data) => {
+    setNavigationPaused(true);
+    setDiversionNotice(data.message);
+  };
+
+  const handleStationOccupancyUpdate = ({ stationId, occupancy }) => {
+    setViewportStations(prev => {
+      if (!prev?.stations?.some(station => station.stationId === stationId)) return prev;
+      return {
+        ...prev,
+        stations: prev.stations.map(station =>
+          station.stationId === stationId ? { ...station, occupancy } : station
+        )
+      };
+    });
+    setRouteData(prev => {
+      if (!prev?.chargingStations?.some(station => station.stationId === stationId)) return prev;
+      return {
+        ...prev,
+        chargingStations: prev.chargingStations.map(station =>
+          station.stationId === stationId ? { ...station, occupancy } : station
+        )
+      };
+    });
+  };
+
   const handleNavigationComplete = (data) => {
     setNavigationActive(false);
     setNavigationPaused(false);
     setNavigationData(null);
     setLivePosition(null);
+    setDiversionNotice(null);
     alert(`Navigation completed: ${data.routeName}`);
   };
 
@@ -281,6 +470,7 @@ const MainLayout = () => {
     setNavigationPaused(false);
     setNavigationData(null);
     setLivePosition(null);
+    setDiversionNotice(null);
   };
 
   const formatDistance = (meters) => {
@@ -288,6 +478,11 @@ const MainLayout = () => {
     return (meters / 1000).toFixed(1) + ' km';
   };
 
+  const formatManeuverDistance = (meters) => {
+    if (meters >= 1000) return (meters / 1000).toFixed(1) + ' km';
+    return Math.round(meters / 10) * 10 + ' m';
+  };
+
   const formatTime = (seconds) => {
     if (!seconds) return '0h 0m 0s';
     const hours = Math.floor(seconds / 3600);
@@ -311,6 +506,10 @@ const MainLayout = () => {
         onLocationUpdate={handleLocationUpdate}
         onNavigationComplete={handleNavigationComplete}
         onNavigationStopped={handleNavigationStopped}
+        onNavigationPaused={handleNavigationPaused}
+        onChargingDiversion={handleChargingDiversion}
+        onChargingStop={handleChargingStop}
+        onStationOccupancyUpdate={handleStationOccupancyUpdate}
       />
 
       <Box
@@ -334,6 +533,11 @@ const MainLayout = () => {
 
         {loading && <CircularProgress sx={{ alignSelf: 'center', mt: 4 }} />}
         {error && <Alert severity="error">{error}</Alert>}
+        {simulatorOnline === false && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Vehicle simulator is offline; battery and status values may be stale.
+          </Alert>
+        )}
 
         {!loading && !error && (
           <>
@@ -378,9 +582,25 @@ const MainLayout = () => {
                   </Grid>
                   <Grid item xs={12}>
                     <Typography variant="body2">
-                      <strong>Battery Temp:</strong> {selectedTruck.truck.batteryTemperature_C}°C
+                      <strong>Battery Temp:</strong> {Number(selectedTruck.truck.batteryTemperature_C).toFixed(1)}°C
                     </Typography>
                   </Grid>
+                  {typeof selectedTruck.truck.stateOfHealth_percent === 'number' && (
+                    <Grid item xs={12}>
+                      <Typography variant="body2">
+                        <strong>Battery Health:</strong> {selectedTruck.truck.stateOfHealth_percent.toFixed(2)}%
+                        {typeof selectedTruck.truck.availableEnergy_kWh === 'number' && ` (${selectedTruck.truck.availableEnergy_kWh.toFixed(1)} kWh available)`}
+                      </Typography>
+                    </Grid>
+                  )}
+                  {typeof selectedTruck.truck.range_km === 'number' && (
+                    <Grid item xs={12}>
+                      <Typography variant="body2">
+                        <strong>Range:</strong> {Math.round(selectedTruck.truck.range_km)} km
+                        {typeof selectedTruck.truck.avgConsumption_kWhPerKm === 'number' && ` (avg ${selectedTruck.truck.avgConsumption_kWhPerKm.toFixed(2)} kWh/km)`}
+                      </Typography>
+                    </Grid>
+                  )}
                   <Grid item xs={12}>
                     <Typography variant="body2">
                       <strong>Charging Status:</strong> {selectedTruck.truck.chargingStatus}
@@ -412,6 +632,20 @@ const MainLayout = () => {
                     Idle
                   </Button>
                 </Box>
+
+                {commands.some(entry => entry.vehicleId === selectedTruck._id) && (
+                  <Box mt={2}>
+                    <Typography variant="body2" sx={{ fontWeight: 'bold', mb: 0.5 }}>
+                      Recent Commands:
+                    </Typography>
+                    {commands.filter(entry => entry.vehicleId === selectedTruck._id).slice(0, 5).map(entry => (
+                      <Typography key={entry.correlationId} variant="caption" component="div" sx={{ color: COMMAND_STATUS_COLORS[entry.status] }}>
+                        {entry.command}{entry.params ? ` ${Object.values(entry.params).join(', ')}` : ''}: {COMMAND_STATUS_LABELS[entry.status]}
+                        {entry.reason && ` (${entry.reason})`}
+                      </Typography>
+                    ))}
+                  </Box>
+                )}
               </Paper>
             )}
 
@@ -429,6 +663,12 @@ const MainLayout = () => {
                 </Box>
               )}
 
+              {diversionNotice && (
+                <Alert severity="warning" onClose={() => setDiversionNotice(null)} sx={{ mb: 2 }}>
+                  {diversionNotice}
+                </Alert>
+              )}
+
               {routeData && !routeLoading && (
                 <Box>
                   <Typography variant="body2" sx={{ mb: 1 }}>
@@ -441,6 +681,22 @@ const MainLayout = () => {
                     <strong>Est. Time:</strong> {formatTime(routeData.estimatedDuration)}
                   </Typography>
 
+                  <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+                    <InputLabel id="speed-select-label">Sim Speed</InputLabel>
+                    <Select
+                      labelId="speed-select-label"
+                      value={speedFactor}
+                      label="Sim Speed"
+                      onChange={handleSpeedChange}
+                    >
+                      {SPEED_OPTIONS.map((option) => (
+                        <MenuItem key={option} value={option}>
+                          {option}x
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+
                   {!navigationActive ? (
                     <Button
                       variant="contained"
@@ -463,11 +719,17 @@ const MainLayout = () => {
                             value={typeof navigationData.progress === 'number' ? navigationData.progress : 0}
                             sx={{ mb: 2 }}
                           />
+                          {navigationData.totalLegs > 1 && (
+                            <Typography variant="body2" sx={{ mb: 1 }}>
+                              <strong>Leg:</strong> {(navigationData.legIndex || 0) + 1} of {navigationData.totalLegs}
+                              {navigationData.nextStop?.name ? ` → ${navigationData.nextStop.name}` : ''}
+                            </Typography>
+                          )}
                           <Typography variant="body2" sx={{ mb: 1 }}>
                             <strong>Time Remaining:</strong> {formatTime(navigationData.timeRemaining)}
                           </Typography>
                           <Typography variant="body2" sx={{ mb: 1 }}>
-                            <strong>Status:</strong> {navigationPaused ? 'Paused' : 'Active'}
+                            <strong>Status:</strong> {navigationPaused ? 'Paused' : 'Active'} ({navigationData.speedFactor || speedFactor}x)
                           </Typography>
                         </Box>
                       )}
@@ -507,6 +769,36 @@ const MainLayout = () => {
                 </Box>
               )}
 
+              {plannedStops.length > 0 && !navigationActive && (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="body2" sx={{ mb: 1 }}>
+                    <strong>Planned stops:</strong>
+                  </Typography>
+                  {plannedStops.map((stop, index) => (
+                    <Typography key={stop._id} variant="body2" color="text.secondary">
+                      {index + 1}. {stop.title}
+                    </Typography>
+                  ))}
+                  <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                    <Button
+                      variant="contained"
+                      onClick={handleGetMultiStopRoute}
+                      disabled={routeLoading}
+                      sx={{ flex: 1 }}
+                    >
+                      Get Route
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      onClick={() => setPlannedStops([])}
+                      sx={{ flex: 1 }}
+                    >
+                      Clear
+                    </Button>
+                  </Box>
+                </Box>
+              )}
+
               {!routeData && !routeLoading && (
                 <Typography variant="body2" color="text.secondary">
                   Click on a storage facility to get route
@@ -525,6 +817,35 @@ const MainLayout = () => {
           overflow: 'hidden',
         }}
       >
+        {navigationActive && navigationData?.guidance && (
+          <Paper
+            elevation={4}
+            sx={{
+              position: 'absolute',
+              top: 16,
+              left: '50%',
+              transform: 'translateX(-50%)',
+              zIndex: 1100,
+              px: 3,
+              py: 1.5,
+              minWidth: 320,
+              maxWidth: '60%',
+              borderRadius: 2,
+              bgcolor: 'primary.main',
+              color: 'primary.contrastText'
+            }}
+          >
+            <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
+              {formatManeuverDistance(navigationData.guidance.distanceToManeuver)} · {navigationData.guidance.instruction}
+            </Typography>
+            {navigationData.guidance.streetName && (
+              <Typography variant="body2">
+                On {navigationData.guidance.streetName}
+              </Typography>
+            )}
+          </Paper>
+        )}
+
         <MapComponent
           fleetData={fleetData}
           facilityData={facilityData}
@@ -532,6 +853,13 @@ const MainLayout = () => {
           routeData={routeData}
           livePosition={livePosition}
           onGetRoute={handleGetRoute}
+          onAddStop={handleAddStop}
+          onReserveStation={handleReserveStation}
+          onReportStation={handleReportStation}
+          showAllChargers={showAllChargers}
+          onToggleAllChargers={handleToggleAllChargers}
+          viewportStations={viewportStations}
+          onViewportChange={handleViewportChange}
         />
       </Box>
     </Box>
@@ -1,5 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap, Polyline } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, useMap, Polyline, Circle } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 
@@ -28,6 +28,106 @@ const chargingStationIcon = new L.divIcon({
   popupAnchor: [0, -20]
 });
 
+// Stations shown by the "all chargers" layer, fainter than the ones picked for the route
+const networkStationIcon = new L.divIcon({
+  html: '<span style="font-size: 18px; opacity: 0.75;">⚡</span>',
+  className: 'custom-charging-icon',
+  iconSize: [18, 18],
+  iconAnchor: [9, 18],
+  popupAnchor: [0, -16]
+});
+
+const clusterIcon = (count) => {
+  const size = count < 10 ? 30 : count < 100 ? 36 : 44;
+  return new L.divIcon({
+    html: `<div style="width: ${size}px; height: ${size}px; line-height: ${size}px; border-radius: 50%; background: rgba(25, 118, 210, 0.85); color: white; font-size: 13px; font-weight: bold; text-align: center; border: 2px solid white; box-shadow: 0 1px 4px rgba(0,0,0,0.3);">${count}</div>`,
+    className: 'custom-cluster-icon',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+};
+
+// Reports the visible bounds and zoom after every pan or zoom while the layer is on
+function ViewportWatcher({ enabled, onViewportChange }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let timeoutId = null;
+    const report = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        const bounds = map.getBounds();
+        onViewportChange({
+          south: bounds.getSouth(),
+          west: Math.max(-180, bounds.getWest()),
+          north: bounds.getNorth(),
+          east: Math.min(180, bounds.getEast())
+        }, map.getZoom());
+      }, 300);
+    };
+
+    report();
+    map.on('moveend', report);
+    return () => {
+      clearTimeout(timeoutId);
+      map.off('moveend', report);
+    };
+  }, [enabled, map, onViewportChange]);
+
+  return null;
+}
+
+function ClusterMarker({ cluster }) {
+  const map = useMap();
+
+  const handleClick = () => {
+    const { south, west, north, east } = cluster.bounds;
+    if (south === north && west === east) {
+      map.setView([south, west], map.getZoom() + 2);
+    } else {
+      map.fitBounds([[south, west], [north, east]], { padding: [40, 40] });
+    }
+  };
+
+  return (
+    <Marker
+      position={[cluster.coordinates[1], cluster.coordinates[0]]}
+      icon={clusterIcon(cluster.count)}
+      eventHandlers={{ click: handleClick }}
+    />
+  );
+}
+
+function AllChargersButton({ active, onToggle }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '60px',
+      right: '10px',
+      zIndex: 1000,
+    }}>
+      <button
+        onClick={onToggle}
+        style={{
+          padding: '10px',
+          backgroundColor: active ? '#1976d2' : 'white',
+          color: active ? 'white' : 'black',
+          border: '2px solid #ccc',
+          borderRadius: '4px',
+          cursor: 'pointer',
+          fontSize: '16px',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
+        }}
+        title={active ? 'Hide all chargers' : 'Show all chargers'}
+      >
+        ⚡
+      </button>
+    </div>
+  );
+}
+
 function InitialMapUpdater({ center, zoom }) {
   const map = useMap();
   const hasUpdated = useRef(false);
@@ -81,7 +181,38 @@ function MyLocationButton({ truckLocation }) {
   );
 }
 
-const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, onGetRoute }) => {
+const RESERVATION_DURATIONS = [30, 60, 90, 120];
+
+const REPORT_OPTIONS = [
+  { status: 'working', label: '✅ Working' },
+  { status: 'broken', label: '❌ Broken' },
+  { status: 'occupied', label: '⏳ Occupied' },
+  { status: 'blocked', label: '🚧 Blocked' }
+];
+
+// Roads are longer than the straight line; the ring and the reachability flags allow for that
+const ROAD_DETOUR_FACTOR = 1.3;
+const UNREACHABLE_OPACITY = 0.45;
+
+function RangeWarning({ reach, rangeKm }) {
+  if (!reach || reach.reachable) return null;
+  return (
+    <div style={{ marginBottom: '8px', fontSize: '12px', color: '#d32f2f' }}>
+      ⚠️ Out of range: ~{Math.round(reach.distanceKm)} km away, range {Math.round(rangeKm)} km. A charging stop will be needed.
+    </div>
+  );
+}
+
+// Value for a datetime-local input, in the browser's time zone
+const toLocalInputValue = (date) => {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+const MapComponent = ({
+  selectedTruck, facilityData, routeData, livePosition, onGetRoute, onAddStop, onReserveStation, onReportStation,
+  showAllChargers, onToggleAllChargers, viewportStations, onViewportChange
+}) => {
   const defaultCenter = [0, 0];
   const defaultZoom = 2;
 
@@ -102,13 +233,39 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
 
   const showMarker = (typeof currentLatitude === 'number' && typeof currentLongitude === 'number');
 
+  // Reachable area on the current charge (range_km is recalculated by the simulator every second)
+  const rangeKm = selectedTruck?.truck?.range_km;
+  const reachableRadiusKm = showMarker && typeof rangeKm === 'number' ? rangeKm / ROAD_DETOUR_FACTOR : null;
+  const getReach = (coordinates) => {
+    if (reachableRadiusKm === null || !coordinates) return null;
+    // Measured the way Leaflet draws the range ring
+    const distanceKm = L.latLng(mapCenter).distanceTo([coordinates[1], coordinates[0]]) / 1000;
+    return { distanceKm, reachable: distanceKm <= reachableRadiusKm };
+  };
+
   // Process route data for polyline
   const routeCoordinates = routeData?.features?.[0]?.geometry?.coordinates?.map(coord => [coord[1], coord[0]]) || [];
   
   // NEW: Get charging stations from route data
   const chargingStations = routeData?.chargingStations || [];
 
-  const FacilityPopup = ({ facility }) => {
+  // Network stations already shown as route stations are drawn once
+  const routeStationIds = new Set(chargingStations.map(station => station.stationId));
+  const networkStations = showAllChargers
+    ? (viewportStations?.stations || []).filter(station => !routeStationIds.has(station.stationId))
+    : [];
+  const networkClusters = showAllChargers ? viewportStations?.clusters || [] : [];
+
+  // Reservation form lives here so live position re-renders do not reset an open popup
+  const [reserveStart, setReserveStart] = useState(() => toLocalInputValue(new Date(Date.now() + 30 * 60000)));
+  const [reserveDuration, setReserveDuration] = useState(60);
+  const [reserving, setReserving] = useState(false);
+  const [reserveResult, setReserveResult] = useState(null);
+  const [reportNote, setReportNote] = useState('');
+  const [reporting, setReporting] = useState(false);
+  const [reportResult, setReportResult] = useState(null);
+
+  const FacilityPopup = ({ facility, reach }) => {
     const [loading, setLoading] = useState(false);
 
     const handleGetRoute = async () => {
@@ -137,6 +294,7 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
         <div style={{ marginBottom: '12px', fontSize: '14px' }}>
           {facility.address}
         </div>
+        <RangeWarning reach={reach} rangeKm={rangeKm} />
         <button
           onClick={handleGetRoute}
           disabled={loading || !selectedTruck}
@@ -153,12 +311,49 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
         >
           {loading ? 'Getting Route...' : 'Get Route'}
         </button>
+        {onAddStop && (
+          <button
+            onClick={() => onAddStop(facility)}
+            disabled={!selectedTruck}
+            style={{
+              width: '100%',
+              marginTop: '8px',
+              padding: '8px 16px',
+              backgroundColor: 'white',
+              color: !selectedTruck ? '#ccc' : '#1976d2',
+              border: `1px solid ${!selectedTruck ? '#ccc' : '#1976d2'}`,
+              borderRadius: '4px',
+              cursor: !selectedTruck ? 'not-allowed' : 'pointer',
+              fontSize: '14px'
+            }}
+          >
+            Add as Stop
+          </button>
+        )}
       </div>
     );
   };
 
   // NEW: Charging Station Popup Component
-  const ChargingStationPopup = ({ station }) => {
+  const ChargingStationPopup = ({ station, reach }) => {
+    const handleReserve = async () => {
+      const startTime = new Date(reserveStart);
+      if (isNaN(startTime)) return;
+
+      setReserving(true);
+      const result = await onReserveStation(station, startTime, new Date(startTime.getTime() + reserveDuration * 60000));
+      setReserveResult(result && { ...result, stationId: station.stationId });
+      setReserving(false);
+    };
+
+    const handleReport = async (status) => {
+      setReporting(true);
+      const result = await onReportStation(station, status, reportNote.trim());
+      setReportResult(result && { ...result, stationId: station.stationId });
+      if (result?.success) setReportNote('');
+      setReporting(false);
+    };
+
     const formatConnectors = (connectors) => {
       if (!connectors || connectors.length === 0) return 'N/A';
       return connectors.join(', ');
@@ -177,6 +372,7 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
         <div style={{ fontWeight: 'bold', marginBottom: '8px', color: '#1976d2' }}>
           ⚡ {station.name}
         </div>
+        <RangeWarning reach={reach} rangeKm={rangeKm} />
         
         <div style={{ marginBottom: '6px' }}>
           <strong>Address:</strong> {station.address}
@@ -184,10 +380,13 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
         
         <div style={{ marginBottom: '6px' }}>
           <strong>Power:</strong> {formatPower(station.powerKw)}
+          {station.effectivePowerKw !== undefined && station.effectivePowerKw !== station.powerKw && (
+            <span style={{ color: '#666' }}> ({formatPower(station.effectivePowerKw)} for this truck)</span>
+          )}
         </div>
         
         <div style={{ marginBottom: '6px' }}>
-          <strong>Connectors:</strong> {formatConnectors(station.connectorTypes)}
+          <strong>Connectors:</strong> {formatConnectors(station.compatibleConnectors || station.connectorTypes)}
         </div>
         
         {station.operatorName && (
@@ -201,6 +400,30 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
             📍 {formatDistance(station.distanceFromRouteKm)}
           </div>
         )}
+
+        {station.occupancy && (
+          <div style={{ marginBottom: '6px', color: station.occupancy.freePorts > 0 ? '#2e7d32' : '#d32f2f' }}>
+            <strong>Ports:</strong> {station.occupancy.freePorts}/{station.occupancy.totalPorts} free
+            {station.occupancy.estimatedWaitMinutes > 0 && `, ~${station.occupancy.estimatedWaitMinutes} min wait`}
+            {station.occupancy.queueLength > 0 && ` (${station.occupancy.queueLength} queued)`}
+          </div>
+        )}
+
+        {typeof station.reliability?.score === 'number' && (
+          <div style={{ marginBottom: '6px', fontSize: '12px', color: station.reliability.score >= 60 ? '#2e7d32' : '#d32f2f' }}>
+            <strong>Driver reliability:</strong> {station.reliability.score}% ({station.reliability.reportCount} report{station.reliability.reportCount !== 1 ? 's' : ''}, last: {station.reliability.lastReportStatus})
+          </div>
+        )}
+
+        {station.scoreBreakdown && (
+          <div style={{ marginBottom: '6px', fontSize: '12px' }}>
+            <strong>Score:</strong> {station.score} / 100
+            <div style={{ color: '#666' }}>
+              ~{Math.round(station.scoreBreakdown.detourMinutes)} min detour, ~{Math.round(station.scoreBreakdown.chargeMinutes)} min charging
+              {station.scoreBreakdown.estimatedCost !== null && `, ~${station.scoreBreakdown.estimatedCost} ${station.scoreBreakdown.currency || ''}`}
+            </div>
+          </div>
+        )}
         
         {station.openingHours && station.openingHours !== 'Unknown' && (
           <div style={{ marginBottom: '6px', fontSize: '12px' }}>
@@ -224,6 +447,87 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
         }}>
           Status: {station.isOperational ? 'Operational' : 'Out of Order'}
         </div>
+
+        {onReserveStation && station.stationId && (
+          <div style={{ marginTop: '10px', borderTop: '1px solid #eee', paddingTop: '8px' }}>
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+              <input
+                type="datetime-local"
+                value={reserveStart}
+                onChange={(e) => setReserveStart(e.target.value)}
+                style={{ flex: 1, fontSize: '12px' }}
+              />
+              <select
+                value={reserveDuration}
+                onChange={(e) => setReserveDuration(Number(e.target.value))}
+                style={{ fontSize: '12px' }}
+              >
+                {RESERVATION_DURATIONS.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes} min</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleReserve}
+              disabled={reserving || !selectedTruck}
+              style={{
+                width: '100%',
+                padding: '6px 12px',
+                backgroundColor: reserving || !selectedTruck ? '#ccc' : '#2e7d32',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: reserving || !selectedTruck ? 'not-allowed' : 'pointer',
+                fontSize: '13px'
+              }}
+            >
+              {reserving ? 'Reserving...' : 'Reserve'}
+            </button>
+            {reserveResult?.stationId === station.stationId && (
+              <div style={{ marginTop: '6px', fontSize: '12px', color: reserveResult.success ? '#2e7d32' : '#d32f2f' }}>
+                {reserveResult.message}
+              </div>
+            )}
+          </div>
+        )}
+
+        {onReportStation && station.stationId && (
+          <div style={{ marginTop: '10px', borderTop: '1px solid #eee', paddingTop: '8px' }}>
+            <div style={{ fontSize: '12px', fontWeight: 'bold', marginBottom: '6px' }}>Report station status</div>
+            <input
+              type="text"
+              value={reportNote}
+              onChange={(e) => setReportNote(e.target.value)}
+              placeholder="Optional note"
+              maxLength={500}
+              style={{ width: '100%', boxSizing: 'border-box', fontSize: '12px', marginBottom: '6px' }}
+            />
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px' }}>
+              {REPORT_OPTIONS.map(option => (
+                <button
+                  key={option.status}
+                  onClick={() => handleReport(option.status)}
+                  disabled={reporting || !selectedTruck}
+                  style={{
+                    padding: '4px 6px',
+                    backgroundColor: 'white',
+                    border: '1px solid #ccc',
+                    borderRadius: '4px',
+                    cursor: reporting || !selectedTruck ? 'not-allowed' : 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {reportResult?.stationId === station.stationId && (
+              <div style={{ marginTop: '6px', fontSize: '12px', color: reportResult.success ? '#2e7d32' : '#d32f2f' }}>
+                {reportResult.message}
+              </div>
+            )}
+          </div>
+        )}
       </div>
     );
   };
@@ -243,6 +547,12 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
 
         <InitialMapUpdater center={mapCenter} zoom={currentZoom} />
         <MyLocationButton truckLocation={showMarker ? mapCenter : null} />
+        {onToggleAllChargers && (
+          <>
+            <AllChargersButton active={showAllChargers} onToggle={onToggleAllChargers} />
+            <ViewportWatcher enabled={showAllChargers} onViewportChange={onViewportChange} />
+          </>
+        )}
 
         {/* Route Polyline */}
         {routeCoordinates.length > 0 && (
@@ -254,6 +564,15 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
           />
         )}
 
+        {/* Reachable area ring */}
+        {reachableRadiusKm !== null && (
+          <Circle
+            center={mapCenter}
+            radius={reachableRadiusKm * 1000}
+            pathOptions={{ color: '#2e7d32', weight: 2, dashArray: '6 6', fillOpacity: 0.05 }}
+          />
+        )}
+
         {/* Truck Marker */}
         {showMarker && (
           <Marker position={mapCenter} icon={truckIcon}>
@@ -261,6 +580,7 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
               <strong>{selectedTruck.fleetId} - {selectedTruck.name}</strong><br />
               Model: {selectedTruck.truck.make} {selectedTruck.truck.model}<br />
               Battery SoC: {selectedTruck.truck.batterySOC_percent}%<br />
+              {typeof rangeKm === 'number' && <>Range: {Math.round(rangeKm)} km<br /></>}
               Charging Status: {selectedTruck.truck.chargingStatus}
             </Popup>
           </Marker>
@@ -272,14 +592,16 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
           const facilityLongitude = facility?.location?.coordinates?.[0];
 
           if (typeof facilityLatitude === 'number' && typeof facilityLongitude === 'number') {
+            const reach = getReach(facility.location.coordinates);
             return (
               <Marker
                 key={facility._id}
                 position={[facilityLatitude, facilityLongitude]}
                 icon={storageBuildingIcon}
+                opacity={reach && !reach.reachable ? UNREACHABLE_OPACITY : 1}
               >
                 <Popup>
-                  <FacilityPopup facility={facility} />
+                  <FacilityPopup facility={facility} reach={reach} />
                 </Popup>
               </Marker>
             );
@@ -293,14 +615,16 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
           const stationLongitude = station?.location?.coordinates?.[0];
 
           if (typeof stationLatitude === 'number' && typeof stationLongitude === 'number') {
+            const reach = getReach(station.location.coordinates);
             return (
               <Marker
                 key={station._id || station.stationId}
                 position={[stationLatitude, stationLongitude]}
                 icon={chargingStationIcon}
+                opacity={reach && !reach.reachable ? UNREACHABLE_OPACITY : 1}
               >
                 <Popup>
-                  <ChargingStationPopup station={station} />
+                  <ChargingStationPopup station={station} reach={reach} />
                 </Popup>
               </Marker>
             );
@@ -308,6 +632,27 @@ const MapComponent = ({ selectedTruck, facilityData, routeData, livePosition, on
           return null;
         })}
 
+        {/* All chargers layer: clusters when zoomed out, stations when zoomed in */}
+        {networkClusters.map((cluster) => (
+          <ClusterMarker key={cluster.id} cluster={cluster} />
+        ))}
+
+        {networkStations.map((station) => {
+          const reach = getReach(station.location.coordinates);
+          return (
+            <Marker
+              key={station.stationId}
+              position={[station.location.coordinates[1], station.location.coordinates[0]]}
+              icon={networkStationIcon}
+              opacity={reach && !reach.reachable ? UNREACHABLE_OPACITY : 1}
+            >
+              <Popup>
+                <ChargingStationPopup station={station} reach={reach} />
+              </Popup>
+            </Marker>
+          );
+        })}
+
         {!showMarker && (
           <div style={{
             position: 'absolute',
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import io from 'socket.io-client';
 
-const WebSocketHandler = ({ selectedTruck, onLocationUpdate, onNavigationComplete, onNavigationStopped }) => {
+const WebSocketHandler = ({ selectedTruck, onLocationUpdate, onNavigationComplete, onNavigationStopped, onNavigationPaused, onChargingDiversion, onChargingStop, onStationOccupancyUpdate }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
   const socketRef = useRef(null);
@@ -54,6 +54,37 @@ const WebSocketHandler = ({ selectedTruck, onLocationUpdate, onNavigationComplet
       }
     });
 
+    // Paused by the server, e.g. after a failed navigation tick
+    newSocket.on('navigation-paused', (data) => {
+      console.log('Navigation paused:', data);
+      if (onNavigationPaused) {
+        onNavigationPaused(data);
+      }
+    });
+
+    newSocket.on('charging-diversion', (data) => {
+      console.log('Charging diversion:', data);
+      if (onChargingDiversion) {
+        onChargingDiversion(data);
+      }
+    });
+
+    // Arriving at the diverted station, and setting off again once charged
+    ['charging-stop', 'charging-stop-completed'].forEach(event => {
+      newSocket.on(event, (data) => {
+        console.log('Charging stop:', data);
+        if (onChargingStop) {
+          onChargingStop(data);
+        }
+      });
+    });
+
+    newSocket.on('station-occupancy-updated', (data) => {
+      if (onStationOccupancyUpdate) {
+        onStationOccupancyUpdate(data);
+      }
+    });
+
     newSocket.on('connect_error', (error) => {
       console.error('Socket connection error:', error);
       setConnected(false);